@@ -5,24 +5,79 @@
  *   /teamcreate [name]
  *   /teamadd <user>
  *   /teaminfo [leader_or_team_name?]
- *   /teamremove [user?]    <-- if no user: deletes team ONLY if leader AND team has 1 member
+ *   /teamlist [open_slots?] [name?]  <-- paginated browser of the guild's teams
+ *   /teamremove [user?]    <-- remove a member (with undo), or with no user disband the team (leader); both ask to confirm
+ *   /teamtransfer <user>   <-- hand leadership to a member (they confirm with buttons)
+ *   /teampromote <user> / /teamdemote <user>  <-- grant or remove the officer rank (leader only)
+ *   /teamrevoke <user>     <-- withdraw a pending invite (leader or officer)
+ *   /teamjoin <team>       <-- ask to join a team; the leader approves/denies with buttons
+ *   /teamjoinpolicy <open|invite_only>  <-- whether your team accepts join requests (leader only)
+ *   /teamedit              <-- modal for the team profile: description, tag, color, recruiting (leader only)
+ *   /teamconfig view|set|reset  <-- per-guild settings, including the team name blocklist (Manage Server only)
+ *   /teamadmin disband|add|kick|rename|leader  <-- staff moderation (Manage Server or staff role; reason required)
+ *   /teamadmin history <team>  <-- a team's recorded lifecycle events
+ *   /teamadmin restore <team>  <-- bring back an archived team with its original roster
+ *   /teamsync                  <-- repair stored teams against Discord (staff)
+ *   /teamevent create|list|end <-- events with a registration window (staff)
+ *   /teamregister <event> [withdraw?]  <-- sign your team up for an open event (leader only)
+ *   /teamexport [csv|json]     <-- download all teams as a file (staff)
+ *   /teamimport <file> [dry_run?]  <-- validate a CSV/JSON file and bulk-create its teams (staff)
+ *   /lfg join|leave|list       <-- free-agent pool with optional role, skill and timezone tags
+ *   /teamautofill [mode] [min_size] [dry_run]  <-- place free agents into open slots / new teams (staff)
+ *   /matchreport <opponent> <win|loss|draw> [score]  <-- report a result; the opposing leader confirms or disputes it
+ *   /leaderboard           <-- paginated ranking by rating
+ *   /scrim propose|cancel  <-- schedule a scrim with another team; their leader accepts/declines with buttons
+ *   /scrims [mine?]        <-- upcoming scrims
+ *   /myinvites             <-- your pending invites, join requests and cooldowns; leaders also see outgoing invites
  *   /accept [team?]
  *   /decline [team?]
  *
  * Features:
- *  - Creates private text+voice channels under TEAM_CATEGORY_ID for each team
+ *  - Creates private text+voice channels under the guild's team category for each team
  *  - Updates channel permission overwrites when members join/leave
- *  - Decline cooldown (24h) and human readable cooldown messages
- *  - Pending invites removed when leader deletes team
+ *  - Decline cooldown (default 24h) and human readable cooldown messages
+ *  - Per-guild team size, category, invite expiry, decline cooldown and channel naming
+ *  - Each guild is its own namespace: teams, names, invites and cooldowns never cross servers
+ *  - Team-name options autocomplete (guild teams; pending invites for /accept and /decline)
+ *  - Persistent job scheduler: invites expire on time across restarts, old invite history is pruned
+ *  - Every team lifecycle event is stored per guild and posted to an optional log channel
+ *  - Reconciliation on startup, every 6h and via /teamsync: recreates missing channels/roles,
+ *    re-adds missing roles and drops members who left the server
+ *  - Live updates: members leaving the server are dropped (leader replaced or team disbanded),
+ *    deleted team channels/roles are recreated; each change is announced in the team channel
+ *    (requires the privileged Server Members intent in the developer portal)
+ *  - Pending invites removed when leader deletes team, and cancelled once the team is full
+ *  - Teams have a stable id (independent of the leader) so leadership can be transferred
+ *  - Team profiles: the color tints the team role, the tag can go in channel names ({tag} in the
+ *    channel name template) and the profile is shown in /teaminfo and the text channel topic
+ *  - Disband mode "archive" (/teamconfig): instead of deleting, the text channel moves to the archive
+ *    category, read-only for former members, with a transcript (message text only with MESSAGE_CONTENT_INTENT)
+ *  - Idle cleanup: teams with no messages, voice use or commands for idleWarningDays get a
+ *    warning with a "Keep team" button and are disbanded idleGraceDays later (see /teamconfig)
+ *  - Event registration: when it closes, registered rosters lock (no invites, joins, leaves or
+ *    removals, staff included) and the final team list is posted; /teamevent end unlocks them
+ *  - Officers can invite, revoke invites, answer join requests and remove regular members;
+ *    they (and the leader) get ManageMessages in the team text channel and Mute/Move in voice
+ *  - Match results: confirmed reports update both teams' Elo rating (rating.js) and W-L-D record,
+ *    shown in /teaminfo and /leaderboard; unconfirmed reports expire after 48h
+ *  - Team names (create, rename, staff rename, import, autofill) follow namePolicy.js: length limits,
+ *    Unicode normalization, no mentions, a per-guild blocklist, reserved names, and no two teams
+ *    whose names map to the same channel/role name ("Team #1" vs "team 1")
+ *  - Scrims: accepted scrims are announced in both team channels, reminded 15 minutes before,
+ *    and get a temporary voice channel for both team roles at start, removed once it's over and empty
  *
  * Env:
  *   DISCORD_TOKEN (required)
  *   CLIENT_ID (required)
- *   GUILD_ID (optional for registering guild commands)
- *   TEAM_CATEGORY_ID (optional — defaults to 1405551594824798229)
+ *   GUILD_ID (optional for registering guild commands; also where old teams.json teams go if their
+ *     role and text channel no longer exist)
+ *   TEAM_CATEGORY_ID (optional — default category for guilds that haven't set one via /teamconfig)
+ *   STORAGE_DRIVER (optional — "json" (default, teams.json) or "sqlite" (needs better-sqlite3))
+ *   DATA_PATH / SQLITE_PATH (optional — override the teams.json / teams.sqlite locations)
+ *   MESSAGE_CONTENT_INTENT (optional — "true" to include message text in archive transcripts;
+ *     enable the privileged Message Content intent in the developer portal first)
  */
 
-import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
 import {
@@ -38,46 +93,180 @@ import {
   InteractionType,
   EmbedBuilder,
   ChannelType,
-  PermissionFlagsBits
+  PermissionFlagsBits,
+  RESTJSONErrorCodes,
+  AttachmentBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle
 } from "discord.js";
 import dotenv from 'dotenv';
+import { createStorage, StorageError } from "./storage/index.js";
+import { JobScheduler } from "./scheduler.js";
+import { exportTeams, formatImportPreview, parseTeamImport } from "./teamFile.js";
+import { planAutofill, parseUtcOffset, formatUtcOffset } from "./matchmaking.js";
+import { DEFAULT_RATING, rateMatch, invertResult } from "./rating.js";
+import { NAME_MAX_LENGTH, DEFAULT_NAME_BLOCKLIST, sanitizeChannelName, checkTeamName, findNameCollision, parseBlocklist } from "./namePolicy.js";
 
 dotenv.config();
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_PATH = path.join(__dirname, "teams.json");
+const DATA_PATH = process.env.DATA_PATH || path.join(__dirname, "teams.json");
+const SQLITE_PATH = process.env.SQLITE_PATH || path.join(__dirname, "teams.sqlite");
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || "json";
 
 const TOKEN = process.env.DISCORD_TOKEN;
 const CLIENT_ID = process.env.CLIENT_ID;
 const GUILD_ID = process.env.GUILD_ID;
-const TEAM_CATEGORY_ID = process.env.TEAM_CATEGORY_ID || "1405551594824798229";
+const TEAM_CATEGORY_ID = process.env.TEAM_CATEGORY_ID || null;
+// opt-in: the Message Content intent is privileged and must also be enabled in the developer portal
+const MESSAGE_CONTENT_INTENT = process.env.MESSAGE_CONTENT_INTENT === "true";
+// /teamimport refuses larger uploads
+const TEAM_IMPORT_MAX_BYTES = 1024 * 1024;
+
+// Defaults for /teamconfig; guilds only store the keys they override
+const DEFAULT_GUILD_CONFIG = {
+  maxTeamSize: 4,
+  categoryId: TEAM_CATEGORY_ID,
+  inviteExpiryHours: 24,
+  declineCooldownHours: 24,
+  // resolved invites (and expired cooldowns) older than this are dropped
+  inviteHistoryDays: 7,
+  // role allowed to use /teamadmin in addition to Manage Server
+  staffRoleId: null,
+  // channel that receives an embed for every team event
+  logChannelId: null,
+  // {name} = sanitized team name, {type} = "chat" or "vc"
+  channelNameTemplate: "{name}-{type}",
+  // days without activity before the leader is warned (0 = never clean up), then days until deletion
+  idleWarningDays: 14,
+  idleGraceDays: 3,
+  // "delete" removes a disbanded team's channels; "archive" keeps the text channel read-only
+  disbandMode: "delete",
+  // where archived text channels go (null = leave them in place)
+  archiveCategoryId: null,
+  // words (folded, see namePolicy.js) that may not appear in team names
+  nameBlocklist: DEFAULT_NAME_BLOCKLIST
+};
 
 if (!TOKEN || !CLIENT_ID) {
   console.error("Please set DISCORD_TOKEN and CLIENT_ID environment variables.");
   process.exit(1);
 }
 
-// ---------- JSON storage ----------
+// ---------- Storage ----------
+// Layout: { version: 2, jobs: [...], guilds: { [guildId]: { config, teams, invites, transfers, history } } }
+const DATA_VERSION = 2;
+
+const storage = await createStorage({ driver: STORAGE_DRIVER, jsonPath: DATA_PATH, sqlitePath: SQLITE_PATH });
+
+// The document is loaded once and shared by every handler, so concurrent
+// interactions mutate the same object instead of overwriting each other's copies.
+// saveData() persists it through the storage backend (atomic, serialized writes).
+let dataCache = null;
 async function loadData() {
-  try {
-    const raw = await fs.readFile(DATA_PATH, "utf8");
-    return JSON.parse(raw);
-  } catch (e) {
-    const initial = { teams: {}, invites: [] };
-    await fs.writeFile(DATA_PATH, JSON.stringify(initial, null, 2));
-    return initial;
+  if (!dataCache) {
+    const stored = await storage.load();
+    dataCache = stored ? migrateData(stored) : { version: DATA_VERSION, guilds: {} };
+    if (!Array.isArray(dataCache.jobs)) dataCache.jobs = [];
+    // teams stored before activity tracking start their idle clock now, not at their creation
+    const loadedAt = new Date().toISOString();
+    for (const scope of Object.values(dataCache.guilds)) {
+      for (const team of Object.values(scope.teams)) team.lastActiveAt ??= loadedAt;
+    }
   }
+  return dataCache;
 }
 async function saveData(data) {
-  await fs.writeFile(DATA_PATH, JSON.stringify(data, null, 2));
+  await storage.save(data);
+}
+
+// Upgrade older teams.json layouts in place.
+// v1 kept every guild's teams/invites in one global namespace plus a guildConfigs map;
+// teams are moved under their own guildId and invites/transfers follow their team.
+// Runs on the first loadData() after the client is ready, since teams saved without a
+// guildId are placed by looking up their role or text channel in the guild cache.
+function migrateData(data) {
+  if (data.version === DATA_VERSION && data.guilds) return data;
+
+  const migrated = { version: DATA_VERSION, guilds: {} };
+  const legacyTeams = data.teams || {};
+  const teamGuildIds = new Map(); // legacy key -> guildId
+  const unplaced = [];
+  for (const [key, team] of Object.entries(legacyTeams)) {
+    // the configured guild is only a fallback for teams whose role and channel are gone
+    const guildId = team.guildId || findLegacyTeamGuildId(team) || GUILD_ID;
+    if (guildId) teamGuildIds.set(key, guildId);
+    else unplaced.push(team.name || key);
+  }
+  if (unplaced.length > 0) {
+    throw new StorageError(
+      `Can't tell which server these stored teams belong to: ${unplaced.join(", ")}. ` +
+      `Their role and text channel weren't found in any server the bot is in. ` +
+      `Set GUILD_ID to the server they were created in and restart to migrate them there.`
+    );
+  }
+
+  for (const [guildId, config] of Object.entries(data.guildConfigs || {})) {
+    guildData(migrated, guildId).config = config;
+  }
+  for (const [key, team] of Object.entries(legacyTeams)) {
+    const teamId = team.teamId || key;
+    const guildId = teamGuildIds.get(key);
+    guildData(migrated, guildId).teams[teamId] = { ...team, teamId, guildId };
+  }
+  // invites and transfers for teams that no longer exist are dropped
+  for (const invite of data.invites || []) {
+    if (teamGuildIds.has(invite.teamId)) guildData(migrated, teamGuildIds.get(invite.teamId)).invites.push(invite);
+  }
+  for (const transfer of data.transfers || []) {
+    if (teamGuildIds.has(transfer.teamId)) guildData(migrated, teamGuildIds.get(transfer.teamId)).transfers.push(transfer);
+  }
+
+  console.log(`Migrated teams.json to version ${DATA_VERSION} (${Object.keys(migrated.guilds).length} guild(s)).`);
+  return migrated;
 }
 
+// The guild a team saved without a guildId lives in, found through its text channel or role; null if neither is cached
+function findLegacyTeamGuildId(team) {
+  const channel = team.textChannelId ? client.channels.cache.get(team.textChannelId) : null;
+  if (channel?.guildId) return channel.guildId;
+  const guild = team.roleId ? client.guilds.cache.find(g => g.roles.cache.has(team.roleId)) : null;
+  return guild?.id ?? null;
+}
+
+// Per-guild slice of the data, created on first use
+function guildData(data, guildId) {
+  if (!data.guilds[guildId]) {
+    data.guilds[guildId] = { config: {}, teams: {}, invites: [], transfers: [], history: [], events: [], freeAgents: [], archives: [], matches: [], scrims: [] };
+  }
+  // guilds stored before history/events/free agents/archives/matches/scrims existed
+  if (!data.guilds[guildId].history) data.guilds[guildId].history = [];
+  if (!data.guilds[guildId].events) data.guilds[guildId].events = [];
+  if (!data.guilds[guildId].freeAgents) data.guilds[guildId].freeAgents = [];
+  if (!data.guilds[guildId].archives) data.guilds[guildId].archives = [];
+  if (!data.guilds[guildId].matches) data.guilds[guildId].matches = [];
+  if (!data.guilds[guildId].scrims) data.guilds[guildId].scrims = [];
+  return data.guilds[guildId];
+}
+
+// Find an invite/transfer/match by id across all guilds; returns { guildId, scope, record } or null
+function findGuildRecord(data, collection, id) {
+  for (const [guildId, scope] of Object.entries(data.guilds)) {
+    // guilds stored before a collection existed don't have it yet
+    const record = (scope[collection] || []).find(r => r.id === id);
+    if (record) return { guildId, scope, record };
+  }
+  return null;
+}
 // ---------- Helpers ----------
 function nowISO() { return new Date().toISOString(); }
-function plusDaysISO(days) {
-  const d = new Date();
-  d.setDate(d.getDate() + days);
-  return d.toISOString();
+function plusHoursISO(hours) {
+  return new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+}
+// Discord timestamp markup; style "R" renders as relative time ("in 3 hours")
+function toTimestamp(iso, style = "R") {
+  return `<t:${Math.floor(new Date(iso).getTime() / 1000)}:${style}>`;
 }
 function msUntil(iso) {
   return Math.max(new Date(iso) - new Date(), 0);
@@ -94,38 +283,113 @@ function humanDurationMs(ms) {
   if (minutes || parts.length === 0) parts.push(`${minutes}m`);
   return parts.join(" ");
 }
-function sanitizeChannelName(name) {
-  return name.toLowerCase().replace(/[^a-z0-9-_ ]/g, "").replace(/\s+/g, "-").slice(0, 90) || "team";
+
+// Effective settings for a guild (stored overrides on top of DEFAULT_GUILD_CONFIG)
+function getGuildConfig(scope) {
+  return { ...DEFAULT_GUILD_CONFIG, ...(scope.config || {}) };
+}
+
+// Staff = Manage Server permission or the guild's configured staff role
+function isStaff(interaction, config) {
+  if (interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) return true;
+  if (!config.staffRoleId || !interaction.member) return false;
+  const roles = interaction.member.roles;
+  // cached members expose a role manager, uncached (API) members a plain id array
+  return Array.isArray(roles) ? roles.includes(config.staffRoleId) : roles.cache.has(config.staffRoleId);
+}
+
+// Channel name for a team from the guild's template; type is "chat" or "vc"
+// {tag} is the team's profile tag (empty if it has none)
+function teamChannelName(config, teamName, type, tag = null) {
+  const name = config.channelNameTemplate
+    .replaceAll("{name}", sanitizeChannelName(teamName))
+    .replaceAll("{tag}", tag ? sanitizeChannelName(tag) : "")
+    .replaceAll("{type}", type);
+  // an empty {tag} would leave doubled or dangling dashes behind
+  return sanitizeChannelName(name).replace(/-{2,}/g, "-").replace(/^-|-$/g, "") || "team";
+}
+
+// Text channel topic built from the team profile (set with /teamedit)
+function teamTopic(team) {
+  const parts = [`${team.tag ? `[${team.tag}] ` : ""}${team.name}`];
+  if (team.description) parts.push(team.description);
+  if (team.recruiting) parts.push("Recruiting");
+  return parts.join(" — ").slice(0, 1024);
 }
 
-// find if a user is in any team
-function findUserTeam(data, userId) {
-  for (const team of Object.values(data.teams)) {
+// find if a user is in any team of this guild
+function findUserTeam(scope, userId) {
+  for (const team of Object.values(scope.teams)) {
     if (team.members.includes(userId)) return team;
   }
   return null;
 }
 
+// find the team a user currently leads in this guild
+function findLeaderTeam(scope, userId) {
+  return Object.values(scope.teams).find(t => t.leaderId === userId) || null;
+}
+
+// find the team a user can manage invites and members for (as its leader or an officer)
+function findManagedTeam(scope, userId) {
+  return Object.values(scope.teams).find(t => t.leaderId === userId || isOfficer(t, userId)) || null;
+}
+
+// officers are members the leader has granted extra rights (older teams have no officers list)
+function isOfficer(team, userId) {
+  return (team.officers || []).includes(userId);
+}
+
+// "leader", "officer" or "member"
+function memberRank(team, userId) {
+  if (team.leaderId === userId) return "leader";
+  return isOfficer(team, userId) ? "officer" : "member";
+}
+
+// Drop a user from a team's roster, including any officer rank. Caller saves.
+function removeFromRoster(team, memberId) {
+  team.members = team.members.filter(m => m !== memberId);
+  if (team.officers) team.officers = team.officers.filter(m => m !== memberId);
+  if (team.memberRoles) delete team.memberRoles[memberId];
+}
+
+// find a team by id, leader id or (case-insensitive) name
+function resolveTeam(scope, arg) {
+  if (scope.teams[arg]) return scope.teams[arg];
+  return findLeaderTeam(scope, arg) || Object.values(scope.teams).find(t => t.name.toLowerCase() === arg.toLowerCase()) || null;
+}
+
 // Helper function to update message and disable buttons
 async function disableInviteButtons(client, invite, statusText) {
-  if (!invite.messageChannelId || !invite.messageId) return;
+  // join requests reuse the invite record and buttons, just with leader-facing labels
+  const labels = invite.kind === "request" ? ["Approve", "Deny"] : ["Accept", "Decline"];
+  return disableActionButtons(client, invite, statusText, "invite_accept", "invite_decline", labels);
+}
+
+// Same as disableInviteButtons, for leadership transfer prompts
+async function disableTransferButtons(client, transfer, statusText) {
+  return disableActionButtons(client, transfer, statusText, "transfer_accept", "transfer_decline");
+}
+
+async function disableActionButtons(client, record, statusText, acceptAction, declineAction, [acceptLabel, declineLabel] = ["Accept", "Decline"]) {
+  if (!record.messageChannelId || !record.messageId) return;
 
   try {
-    const channel = await client.channels.fetch(invite.messageChannelId).catch(()=>null);
+    const channel = await client.channels.fetch(record.messageChannelId).catch(()=>null);
     if (!channel) return;
-    const message = await channel.messages.fetch(invite.messageId).catch(()=>null);
+    const message = await channel.messages.fetch(record.messageId).catch(()=>null);
     if (!message) return;
 
     // disabled buttons
     const acceptBtn = new ButtonBuilder()
-      .setCustomId(`invite_accept::${invite.id}`)
-      .setLabel("Accept")
+      .setCustomId(`${acceptAction}::${record.id}`)
+      .setLabel(acceptLabel)
       .setStyle(ButtonStyle.Success)
       .setDisabled(true);
 
     const declineBtn = new ButtonBuilder()
-      .setCustomId(`invite_decline::${invite.id}`)
-      .setLabel("Decline")
+      .setCustomId(`${declineAction}::${record.id}`)
+      .setLabel(declineLabel)
       .setStyle(ButtonStyle.Danger)
       .setDisabled(true);
 
@@ -140,7 +404,7 @@ async function disableInviteButtons(client, invite, statusText) {
         .setFooter({ text: statusText });
     } else {
       newEmbed = new EmbedBuilder()
-        .setTitle("Invite")
+        .setTitle(acceptAction.startsWith("transfer") ? "Leadership transfer" : "Invite")
         .setDescription(statusText)
         .setColor(0x808080)
         .setFooter({ text: statusText });
@@ -162,18 +426,19 @@ async function removeInviteButtons(client, invite) {
     const message = await channel.messages.fetch(invite.messageId).catch(()=>null);
     if (!message) return;
 
+    const expiredText = invite.kind === "request" ? "This join request has expired" : "This invite has expired";
     let newEmbed;
     if (message.embeds && message.embeds[0]) {
       const old = message.embeds[0];
       newEmbed = new EmbedBuilder(old.data || {})
         .setColor(0x808080)
-        .setFooter({ text: "This invite has expired (24 hours)" });
+        .setFooter({ text: expiredText });
     } else {
       newEmbed = new EmbedBuilder()
-        .setTitle("Invite expired")
-        .setDescription("This invite has expired (24 hours)")
+        .setTitle(invite.kind === "request" ? "Join request expired" : "Invite expired")
+        .setDescription(expiredText)
         .setColor(0x808080)
-        .setFooter({ text: "This invite has expired (24 hours)" });
+        .setFooter({ text: expiredText });
     }
 
     await message.edit({ embeds: [newEmbed], components: [] }).catch(()=>null);
@@ -182,59 +447,932 @@ async function removeInviteButtons(client, invite) {
   }
 }
 
-// Clean up expired invites and update their messages
-async function cleanupExpiredInvites(client, data) {
-  const now = new Date();
-  const expiredInvites = data.invites.filter(invite => {
-    const inviteDate = new Date(invite.createdAt);
-    const hoursDiff = (now - inviteDate) / (1000 * 60 * 60);
-    return invite.status === "pending" && hoursDiff >= 24;
-  });
+// ---------- Team list ----------
+const TEAM_LIST_PAGE_SIZE = 10;
+
+// One page of /teamlist as { embeds, components }. Filter state rides along in the button ids.
+function buildTeamListPage(scope, config, { page = 0, openOnly = false, nameFilter = "" }) {
+  const needle = nameFilter.toLowerCase();
+  const teams = Object.values(scope.teams)
+    .filter(t => !openOnly || t.members.length < config.maxTeamSize)
+    .filter(t => !needle || t.name.toLowerCase().includes(needle))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const pageCount = Math.max(Math.ceil(teams.length / TEAM_LIST_PAGE_SIZE), 1);
+  const current = Math.min(Math.max(page, 0), pageCount - 1);
+  const rows = teams
+    .slice(current * TEAM_LIST_PAGE_SIZE, (current + 1) * TEAM_LIST_PAGE_SIZE)
+    .map(t => {
+      const status = t.members.length >= config.maxTeamSize ? "🔴 full"
+        : acceptsJoinRequests(t) ? "🟢 open to requests" : "🟡 invite only";
+      return `${t.tag ? `[${t.tag}] ` : ""}**${t.name}** — <@${t.leaderId}> — ${t.members.length}/${config.maxTeamSize} — ${status}${t.recruiting ? " — recruiting" : ""}`;
+    });
+
+  const filters = [];
+  if (openOnly) filters.push("open slots only");
+  if (nameFilter) filters.push(`name contains "${nameFilter}"`);
+
+  const embed = new EmbedBuilder()
+    .setTitle("Teams")
+    .setDescription(rows.length ? rows.join("\n") : "No teams match.")
+    .setFooter({ text: `Page ${current + 1}/${pageCount} · ${teams.length} team(s)${filters.length ? ` · ${filters.join(", ")}` : ""}` })
+    .setTimestamp();
+
+  const state = `${openOnly ? 1 : 0}::${nameFilter}`;
+  const prevBtn = new ButtonBuilder()
+    .setCustomId(`teamlist_page::${current - 1}::${state}`)
+    .setLabel("Previous")
+    .setStyle(ButtonStyle.Secondary)
+    .setDisabled(current === 0);
+  const nextBtn = new ButtonBuilder()
+    .setCustomId(`teamlist_page::${current + 1}::${state}`)
+    .setLabel("Next")
+    .setStyle(ButtonStyle.Secondary)
+    .setDisabled(current >= pageCount - 1);
+
+  return { embeds: [embed], components: [new ActionRowBuilder().addComponents(prevBtn, nextBtn)] };
+}
+
+// ---------- Audit log ----------
+// Newest events kept per guild; older ones are dropped as new ones arrive
+const TEAM_HISTORY_LIMIT = 2000;
+
+const TEAM_EVENTS = {
+  "team.created":      { label: "Team created",       color: 0x00ff00 },
+  "team.deleted":      { label: "Team deleted",       color: 0xff0000 },
+  "team.renamed":      { label: "Team renamed",       color: 0x3498db },
+  "team.leader":       { label: "Leader changed",     color: 0x3498db },
+  "member.joined":     { label: "Member joined",      color: 0x00ff00 },
+  "member.added":      { label: "Member added",       color: 0x00ff00 },
+  "member.left":       { label: "Member left",        color: 0xffa500 },
+  "member.removed":    { label: "Member removed",     color: 0xffa500 },
+  "member.promoted":   { label: "Officer promoted",   color: 0x3498db },
+  "member.demoted":    { label: "Officer demoted",    color: 0x3498db },
+  "invite.sent":       { label: "Invite sent",        color: 0x808080 },
+  "invite.declined":   { label: "Invite declined",    color: 0x808080 },
+  "invite.expired":    { label: "Invite expired",     color: 0x808080 },
+  "request.sent":      { label: "Join request",       color: 0x808080 },
+  "invite.cancelled":  { label: "Invite cancelled",   color: 0x808080 },
+  "request.denied":    { label: "Join request denied", color: 0x808080 },
+  "team.synced":       { label: "Team repaired",      color: 0x9b59b6 },
+  "team.policy":       { label: "Join policy changed", color: 0x3498db },
+  "team.registered":   { label: "Registered for event", color: 0x00ff00 },
+  "team.withdrawn":    { label: "Withdrew from event", color: 0xffa500 },
+  "team.idle":         { label: "Idle warning sent",  color: 0xffa500 },
+  "team.kept":         { label: "Kept after idle warning", color: 0x00ff00 },
+  "team.restored":     { label: "Team restored",      color: 0x00ff00 },
+  "team.edited":       { label: "Profile edited",     color: 0x3498db },
+  "match.played":      { label: "Match confirmed",    color: 0x3498db }
+};
+
+function teamEventEmbed(entry) {
+  const meta = TEAM_EVENTS[entry.type] || { label: entry.type, color: 0x808080 };
+  const embed = new EmbedBuilder()
+    .setTitle(meta.label)
+    .setColor(meta.color)
+    .addFields({ name: "Team", value: `${entry.teamName} (\`${entry.teamId}\`)` })
+    .setTimestamp(new Date(entry.at));
+  if (entry.actorId) embed.addFields({ name: "By", value: `<@${entry.actorId}>`, inline: true });
+  if (entry.targetId) embed.addFields({ name: "Member", value: `<@${entry.targetId}>`, inline: true });
+  if (entry.before !== undefined) embed.addFields({ name: "Before", value: String(entry.before), inline: true });
+  if (entry.after !== undefined) embed.addFields({ name: "After", value: String(entry.after), inline: true });
+  if (entry.changed) embed.addFields({ name: "Changed", value: entry.changed.join(", "), inline: true });
+  if (entry.reason) embed.addFields({ name: "Reason", value: entry.reason });
+  return embed;
+}
 
-  for (const invite of expiredInvites) {
-    invite.status = "expired";
-    await removeInviteButtons(client, invite);
+// Store a team event in the guild's history and post it to the log channel (if configured).
+// event: { type, team, actorId?, targetId?, before?, after?, changed? (field names), reason? }
+async function logTeamEvent(data, guildId, event) {
+  const scope = guildData(data, guildId);
+  const { team, ...rest } = event;
+  const entry = {
+    id: `event-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    at: nowISO(),
+    teamId: team.teamId,
+    teamName: team.name,
+    ...rest
+  };
+  scope.history.push(entry);
+  if (scope.history.length > TEAM_HISTORY_LIMIT) scope.history.splice(0, scope.history.length - TEAM_HISTORY_LIMIT);
+  await saveData(data);
+
+  // posted in the background so callers can reply to their interaction right away
+  const { logChannelId } = getGuildConfig(scope);
+  if (logChannelId) {
+    client.channels.fetch(logChannelId)
+      .then(channel => channel?.isTextBased() ? channel.send({ embeds: [teamEventEmbed(entry)] }) : null)
+      .catch(err => console.warn("Failed to post team event to log channel:", err));
+  }
+  return entry;
+}
+
+// one line per event for /teamadmin history
+function formatTeamEvent(entry) {
+  const meta = TEAM_EVENTS[entry.type] || { label: entry.type };
+  const parts = [`<t:${Math.floor(new Date(entry.at).getTime() / 1000)}:f> **${meta.label}**`];
+  if (entry.targetId) parts.push(`<@${entry.targetId}>`);
+  if (entry.before !== undefined || entry.after !== undefined) parts.push(`${entry.before ?? "—"} → ${entry.after ?? "—"}`);
+  if (entry.changed) parts.push(`(${entry.changed.join(", ")})`);
+  if (entry.actorId) parts.push(`by <@${entry.actorId}>`);
+  if (entry.reason) parts.push(`— ${entry.reason}`);
+  return parts.join(" ");
+}
+
+// ---------- Scheduled jobs ----------
+const INVITE_PRUNE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+const scheduler = new JobScheduler({
+  getJobs: async () => (await loadData()).jobs,
+  persist: async () => saveData(await loadData())
+});
+
+function inviteExpiryJobId(inviteId) { return `invite-expire::${inviteId}`; }
+
+// invites created before expiresAt existed fall back to the default expiry
+function inviteExpiresAt(invite) {
+  return invite.expiresAt || new Date(new Date(invite.createdAt).getTime() + DEFAULT_GUILD_CONFIG.inviteExpiryHours * 60 * 60 * 1000).toISOString();
+}
+
+// Cancel a pending invite: mark it, disable its buttons and drop its expiry job. Caller saves.
+async function cancelInvite(invite, statusText) {
+  invite.status = "cancelled";
+  await disableInviteButtons(client, invite, statusText);
+  await scheduler.cancel(inviteExpiryJobId(invite.id));
+}
+
+// Withdraw a pending invite or join request and tell the invitee/requester. Caller saves.
+async function revokeInvite(invite, statusText, dmText) {
+  await cancelInvite(invite, statusText);
+  const user = await client.users.fetch(invite.invitedId).catch(()=>null);
+  if (user) user.send(dmText).catch(()=>null);
+}
+
+// Once a team reaches its cap, its pending invites and join requests can't succeed: cancel them
+async function cancelInvitesIfFull(data, guildId, team) {
+  const scope = guildData(data, guildId);
+  if (team.members.length < getGuildConfig(scope).maxTeamSize) return;
+
+  const pending = scope.invites.filter(inv => inv.teamId === team.teamId && inv.status === "pending");
+  for (const invite of pending) {
+    await revokeInvite(invite, "Team is full", invite.kind === "request"
+      ? `Your request to join **${team.name}** was closed because the team is now full.`
+      : `Your invite to **${team.name}** was withdrawn because the team is now full.`);
+  }
+  if (pending.length === 0) return;
+  await saveData(data);
+  for (const invite of pending) {
+    await logTeamEvent(data, guildId, { type: "invite.cancelled", team, targetId: invite.invitedId, reason: "Team is full" });
+  }
+}
+
+async function scheduleInviteExpiry(invite) {
+  await scheduler.schedule({ id: inviteExpiryJobId(invite.id), type: "inviteExpire", runAt: inviteExpiresAt(invite), payload: { inviteId: invite.id } });
+}
+
+// Leadership transfers expire like invites (inviteExpiresAt also covers transfers saved without expiresAt)
+function transferExpiryJobId(transferId) { return `transfer-expire::${transferId}`; }
+
+async function scheduleTransferExpiry(transfer) {
+  await scheduler.schedule({ id: transferExpiryJobId(transfer.id), type: "transferExpire", runAt: inviteExpiresAt(transfer), payload: { transferId: transfer.id } });
+}
+
+// Make sure every pending invite and transfer in storage has an expiry job (e.g. ones saved before the scheduler existed)
+async function syncInviteExpiryJobs(data) {
+  for (const scope of Object.values(data.guilds)) {
+    for (const invite of scope.invites.filter(inv => inv.status === "pending")) {
+      if (!(await scheduler.has(inviteExpiryJobId(invite.id)))) await scheduleInviteExpiry(invite);
+    }
+    for (const transfer of scope.transfers.filter(t => t.status === "pending")) {
+      if (!(await scheduler.has(transferExpiryJobId(transfer.id)))) await scheduleTransferExpiry(transfer);
+    }
   }
+}
+
+scheduler.register("reconcileTeams", async () => {
+  await reconcileAllGuilds();
+});
+
+scheduler.register("inviteExpire", async (job) => {
+  const data = await loadData();
+  const found = findGuildRecord(data, "invites", job.payload.inviteId);
+  if (!found || found.record.status !== "pending") return;
+  found.record.status = "expired";
+  await saveData(data);
+  await removeInviteButtons(client, found.record);
+
+  const team = found.scope.teams[found.record.teamId];
+  if (team) await logTeamEvent(data, found.guildId, { type: "invite.expired", team, targetId: found.record.invitedId });
+});
+
+scheduler.register("transferExpire", async (job) => {
+  const data = await loadData();
+  const found = findGuildRecord(data, "transfers", job.payload.transferId);
+  if (!found || found.record.status !== "pending") return;
+  found.record.status = "expired";
+  await saveData(data);
+  await disableTransferButtons(client, found.record, "Transfer expired");
+});
 
-  if (expiredInvites.length > 0) {
+// Drop resolved invites/transfers older than each guild's retention window.
+// Declined invites are kept until their cooldown has passed, since the cooldown lives on them.
+scheduler.register("pruneInviteHistory", async () => {
+  const data = await loadData();
+  const now = Date.now();
+  let pruned = 0;
+  for (const scope of Object.values(data.guilds)) {
+    const cutoff = now - getGuildConfig(scope).inviteHistoryDays * 24 * 60 * 60 * 1000;
+    const keep = record => {
+      if (record.status === "pending") return true;
+      if (record.declinedUntil && new Date(record.declinedUntil).getTime() > now) return true;
+      return new Date(record.createdAt).getTime() > cutoff;
+    };
+    const before = scope.invites.length + scope.transfers.length;
+    scope.invites = scope.invites.filter(keep);
+    scope.transfers = scope.transfers.filter(keep);
+    pruned += before - scope.invites.length - scope.transfers.length;
+    // scrims are kept until they're over, however early they were proposed
+    if (scope.scrims) {
+      const scrimsBefore = scope.scrims.length;
+      scope.scrims = scope.scrims.filter(s => !["ended", "declined", "expired", "cancelled"].includes(s.status) || new Date(s.startsAt).getTime() > cutoff);
+      pruned += scrimsBefore - scope.scrims.length;
+    }
+  }
+  if (pruned > 0) {
     await saveData(data);
-    console.log(`Cleaned up ${expiredInvites.length} expired invites`);
+    console.log(`Pruned ${pruned} old invite/transfer/scrim records`);
+  }
+});
+
+// ---------- Events (registration + roster locks) ----------
+// event: { id, name, channelId, opensAt, closesAt, status, teamIds, createdBy, createdAt }
+// status: "scheduled" -> "open" (teams register) -> "locked" (rosters frozen) -> "ended"
+const EVENT_STATUS_LABELS = {
+  scheduled: "Registration not open yet",
+  open: "Registration open",
+  locked: "Registration closed, rosters locked",
+  ended: "Ended"
+};
+
+function eventJobId(eventId, phase) { return `event-${phase}::${eventId}`; }
+
+// find an event by id or (case-insensitive) name; the newest match wins
+function resolveEvent(scope, arg) {
+  return scope.events.find(e => e.id === arg)
+    || [...scope.events].reverse().find(e => e.name.toLowerCase() === arg.toLowerCase())
+    || null;
+}
+
+// The event that has locked this team's roster, or null
+function rosterLock(scope, teamId) {
+  return scope.events.find(e => e.status === "locked" && e.teamIds.includes(teamId)) || null;
+}
+
+function rosterLockedMessage(team, event) {
+  return `**${team.name}**'s roster is locked for **${event.name}**: members can't join, leave or be removed until staff end the event.`;
+}
+
+async function postEventMessage(event, payload) {
+  const channel = await client.channels.fetch(event.channelId).catch(()=>null);
+  if (channel?.isTextBased()) await channel.send(payload).catch(err => console.warn("Failed to post event message:", err));
+}
+
+function eventRosterEmbed(scope, event) {
+  const teams = event.teamIds.map(id => scope.teams[id]).filter(Boolean);
+  return new EmbedBuilder()
+    .setTitle(`Final teams — ${event.name}`)
+    .setDescription(teams.map((t, i) => `${i + 1}. **${t.name}** — ${t.members.map(m => `<@${m}>`).join(", ")}`).join("\n").slice(0, 4000) || "No teams registered.")
+    .setFooter({ text: `${teams.length} team${teams.length === 1 ? "" : "s"} · rosters are locked` })
+    .setTimestamp();
+}
+
+async function openEventRegistration(data, scope, event) {
+  event.status = "open";
+  await saveData(data);
+  await postEventMessage(event, {
+    content: `Registration for **${event.name}** is open until ${toTimestamp(event.closesAt, "f")} (${toTimestamp(event.closesAt)}). Team leaders can sign up with /teamregister.`
+  });
+}
+
+// Close registration: freeze the registered rosters, withdraw their pending invites/requests and post the final list
+async function lockEventRosters(data, guildId, event) {
+  const scope = guildData(data, guildId);
+  event.status = "locked";
+  event.lockedAt = nowISO();
+  await scheduler.cancel(eventJobId(event.id, "open"));
+
+  const pending = scope.invites.filter(inv => event.teamIds.includes(inv.teamId) && inv.status === "pending");
+  for (const invite of pending) {
+    const team = scope.teams[invite.teamId];
+    await revokeInvite(invite, "Roster locked", invite.kind === "request"
+      ? `Your request to join **${team?.name || "the team"}** was closed because its roster is locked for **${event.name}**.`
+      : `Your invite to **${team?.name || "the team"}** was withdrawn because its roster is locked for **${event.name}**.`);
+  }
+  await saveData(data);
+  for (const invite of pending) {
+    const team = scope.teams[invite.teamId];
+    if (team) await logTeamEvent(data, guildId, { type: "invite.cancelled", team, targetId: invite.invitedId, reason: `Roster locked for ${event.name}` });
+  }
+
+  await postEventMessage(event, { content: `Registration for **${event.name}** is closed.`, embeds: [eventRosterEmbed(scope, event)] });
+}
+
+async function scheduleEventJobs(guildId, event) {
+  if (event.status === "scheduled") {
+    await scheduler.schedule({ id: eventJobId(event.id, "open"), type: "eventOpen", runAt: event.opensAt, payload: { guildId, eventId: event.id } });
+  }
+  await scheduler.schedule({ id: eventJobId(event.id, "close"), type: "eventClose", runAt: event.closesAt, payload: { guildId, eventId: event.id } });
+}
+
+scheduler.register("eventOpen", async (job) => {
+  const data = await loadData();
+  const scope = data.guilds[job.payload.guildId];
+  const event = scope?.events?.find(e => e.id === job.payload.eventId);
+  if (!event || event.status !== "scheduled") return;
+  await openEventRegistration(data, scope, event);
+});
+
+scheduler.register("eventClose", async (job) => {
+  const data = await loadData();
+  const scope = data.guilds[job.payload.guildId];
+  const event = scope?.events?.find(e => e.id === job.payload.eventId);
+  if (!event || (event.status !== "open" && event.status !== "scheduled")) return;
+  await lockEventRosters(data, job.payload.guildId, event);
+});
+
+// ---------- Team activity and idle cleanup ----------
+// Activity = messages in the team text channel, joining the team voice channel, or a member using a command.
+// After idleWarningDays without any, the team gets a warning with a "Keep team" button;
+// if nobody presses it (or is active) within idleGraceDays, the team is disbanded.
+const IDLE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+// activity is saved at most this often per team, so a busy channel doesn't rewrite the data file per message
+const ACTIVITY_SAVE_INTERVAL_MS = 5 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Edit an idle warning message to show its outcome and drop the button (best-effort)
+async function closeIdleWarning(warning, statusText) {
+  try {
+    const channel = await client.channels.fetch(warning.messageChannelId).catch(()=>null);
+    const message = channel ? await channel.messages.fetch(warning.messageId).catch(()=>null) : null;
+    if (!message) return;
+    const embed = new EmbedBuilder(message.embeds[0]?.data || { title: "Inactive team" }).setColor(0x808080).setFooter({ text: statusText });
+    await message.edit({ embeds: [embed], components: [] }).catch(()=>null);
+  } catch (err) {
+    console.warn("Failed to close idle warning:", err);
+  }
+}
+
+// Record activity for a team; any pending idle warning is withdrawn
+async function markTeamActive(data, team, statusText = "The team was active again, so it will be kept.") {
+  const now = Date.now();
+  if (!team.idleWarning && team.lastActiveAt && now - new Date(team.lastActiveAt).getTime() < ACTIVITY_SAVE_INTERVAL_MS) return;
+  const warning = team.idleWarning;
+  team.lastActiveAt = new Date(now).toISOString();
+  delete team.idleWarning;
+  await saveData(data);
+  if (warning) await closeIdleWarning(warning, statusText);
+}
+
+// Find a team by id in any guild; returns { guildId, scope, team } or null
+function findTeamAnywhere(data, teamId) {
+  for (const [guildId, scope] of Object.entries(data.guilds)) {
+    if (scope.teams[teamId]) return { guildId, scope, team: scope.teams[teamId] };
+  }
+  return null;
+}
+
+// Post the idle warning in the team channel (or DM the leader if there is none) and start the grace period
+async function warnIdleTeam(guild, data, team, config) {
+  const deleteAt = new Date(Date.now() + config.idleGraceDays * DAY_MS).toISOString();
+  const embed = new EmbedBuilder()
+    .setTitle("Inactive team")
+    .setDescription(`**${team.name}** has had no activity for ${config.idleWarningDays} days. It will be ${config.disbandMode === "archive" ? "archived" : "deleted"} ${toTimestamp(deleteAt)} unless someone on the team presses **Keep team** or uses the team channels.`)
+    .setColor(0xffa500)
+    .setTimestamp();
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`idle_keep::${team.teamId}`).setLabel("Keep team").setStyle(ButtonStyle.Success)
+  );
+
+  let message = null;
+  const channel = team.textChannelId ? await guild.channels.fetch(team.textChannelId).catch(()=>null) : null;
+  if (channel?.isTextBased()) message = await channel.send({ content: `<@${team.leaderId}>`, embeds: [embed], components: [row] }).catch(()=>null);
+  if (!message) {
+    const leader = await client.users.fetch(team.leaderId).catch(()=>null);
+    message = leader ? await leader.send({ embeds: [embed], components: [row] }).catch(()=>null) : null;
+  }
+
+  team.idleWarning = { sentAt: nowISO(), deleteAt, messageChannelId: message?.channelId || null, messageId: message?.id || null };
+  await saveData(data);
+  await logTeamEvent(data, guild.id, { type: "team.idle", team, after: `deletion ${deleteAt}` });
+}
+
+async function cleanUpIdleTeam(guild, data, team, config) {
+  const reason = `No activity for ${config.idleWarningDays + config.idleGraceDays} days`;
+  const outcome = config.disbandMode === "archive" ? "archived" : "deleted";
+  if (team.idleWarning) await closeIdleWarning(team.idleWarning, `The team was ${outcome} for inactivity.`);
+
+  await disbandTeamAndNotify(guild, data, guild.id, team, {
+    auditReason: reason,
+    logReason: reason,
+    notice: `Your team **${team.name}** in ${guild.name} was ${outcome} after ${reason.toLowerCase()}.`
+  });
+}
+
+scheduler.register("checkIdleTeams", async () => {
+  const data = await loadData();
+  for (const [guildId, scope] of Object.entries(data.guilds)) {
+    const config = getGuildConfig(scope);
+    const guild = client.guilds.cache.get(guildId);
+    if (!config.idleWarningDays || !guild) continue;
+
+    for (const team of Object.values(scope.teams)) {
+      // teams locked in for an event are never cleaned up
+      if (rosterLock(scope, team.teamId)) continue;
+      if (team.idleWarning) {
+        if (Date.now() >= new Date(team.idleWarning.deleteAt).getTime()) await cleanUpIdleTeam(guild, data, team, config);
+      } else if (Date.now() - new Date(team.lastActiveAt).getTime() >= config.idleWarningDays * DAY_MS) {
+        await warnIdleTeam(guild, data, team, config);
+      }
+    }
+  }
+});
+
+// ---------- Matches and ratings ----------
+// match: { id, teamAId, teamBId, teamAName, teamBName, result (team A's view), score?, reportedBy,
+//          status: "pending" | "confirmed" | "disputed" | "expired" | "cancelled", createdAt, expiresAt, ... }
+// Team A reported the match; team B's leader confirms or disputes it.
+const MATCH_CONFIRM_HOURS = 48;
+const LEADERBOARD_PAGE_SIZE = 10;
+const MATCH_VERBS = { win: "beat", loss: "lost to", draw: "drew with" };
+
+function matchExpiryJobId(matchId) { return `match-expire::${matchId}`; }
+
+// teams that haven't played a confirmed match yet have no stored rating/record
+function teamRating(team) {
+  return team.rating ?? DEFAULT_RATING;
+}
+
+function teamRecord(team) {
+  return `${team.wins || 0}W ${team.losses || 0}L ${team.draws || 0}D`;
+}
+
+// one line describing a confirmed match from teamId's side
+function formatMatch(match, teamId) {
+  const isA = match.teamAId === teamId;
+  const result = isA ? match.result : invertResult(match.result);
+  const opponent = isA ? match.teamBName : match.teamAName;
+  const delta = isA ? match.ratingDelta : -match.ratingDelta;
+  return `${toTimestamp(match.confirmedAt, "d")} ${MATCH_VERBS[result]} **${opponent}**${match.score ? ` (${match.score})` : ""} · ${delta >= 0 ? "+" : ""}${delta}`;
+}
+
+// Apply a confirmed match to both teams' ratings and records. Caller saves.
+function applyMatchResult(match, teamA, teamB) {
+  const { a, b, delta } = rateMatch(teamRating(teamA), teamRating(teamB), match.result);
+  teamA.rating = a;
+  teamB.rating = b;
+  const bump = (team, result) => {
+    const key = result === "win" ? "wins" : result === "loss" ? "losses" : "draws";
+    team[key] = (team[key] || 0) + 1;
+  };
+  bump(teamA, match.result);
+  bump(teamB, invertResult(match.result));
+  match.status = "confirmed";
+  match.confirmedAt = nowISO();
+  match.ratingDelta = delta;
+}
+
+function disableMatchButtons(match, statusText) {
+  return disableActionButtons(client, match, statusText, "match_confirm", "match_dispute", ["Confirm", "Dispute"]);
+}
+
+// Leaderboard embed + prev/next buttons (leaderboard_page::<page>)
+function buildLeaderboardPage(scope, page = 0) {
+  const teams = Object.values(scope.teams)
+    .filter(t => (t.wins || 0) + (t.losses || 0) + (t.draws || 0) > 0)
+    .sort((a, b) => teamRating(b) - teamRating(a) || (b.wins || 0) - (a.wins || 0) || a.name.localeCompare(b.name));
+
+  const pageCount = Math.max(Math.ceil(teams.length / LEADERBOARD_PAGE_SIZE), 1);
+  const current = Math.min(Math.max(page, 0), pageCount - 1);
+  const rows = teams
+    .slice(current * LEADERBOARD_PAGE_SIZE, (current + 1) * LEADERBOARD_PAGE_SIZE)
+    .map((t, i) => `**#${current * LEADERBOARD_PAGE_SIZE + i + 1}** ${t.tag ? `[${t.tag}] ` : ""}**${t.name}** — ${teamRating(t)} — ${teamRecord(t)}`);
+
+  const embed = new EmbedBuilder()
+    .setTitle("Leaderboard")
+    .setDescription(rows.length ? rows.join("\n") : "No confirmed matches yet. Report one with /matchreport.")
+    .setFooter({ text: `Page ${current + 1}/${pageCount} · ${teams.length} ranked team(s)` })
+    .setTimestamp();
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`leaderboard_page::${current - 1}`).setLabel("Previous").setStyle(ButtonStyle.Secondary).setDisabled(current === 0),
+    new ButtonBuilder().setCustomId(`leaderboard_page::${current + 1}`).setLabel("Next").setStyle(ButtonStyle.Secondary).setDisabled(current >= pageCount - 1)
+  );
+  return { embeds: [embed], components: [row] };
+}
+
+scheduler.register("matchExpire", async (job) => {
+  const data = await loadData();
+  const found = findGuildRecord(data, "matches", job.payload.matchId);
+  if (!found || found.record.status !== "pending") return;
+  found.record.status = "expired";
+  await saveData(data);
+  await disableMatchButtons(found.record, "Expired — not confirmed in time");
+});
+
+// ---------- Scrims ----------
+// scrim: { id, teamAId, teamBId, teamAName, teamBName, proposedBy, startsAt, durationMinutes, note?,
+//          status, createdAt, messageChannelId, messageId, voiceChannelId? }
+// status: "pending" -> "accepted" -> "started" (shared voice channel exists) -> "ended",
+//         or "declined" / "expired" / "cancelled". Team A proposed; team B's leader answers.
+const SCRIM_REMINDER_MS = 15 * 60 * 1000;
+// a shared voice channel that still has people in it when the scrim is over is checked again this much later
+const SCRIM_CLEANUP_RETRY_MS = 15 * 60 * 1000;
+const SCRIM_STATUS_LABELS = {
+  pending: "Awaiting answer",
+  accepted: "Accepted",
+  started: "In progress",
+  ended: "Ended",
+  declined: "Declined",
+  expired: "Expired",
+  cancelled: "Cancelled"
+};
+
+function scrimJobId(scrimId, phase) { return `scrim-${phase}::${scrimId}`; }
+
+function scrimEndsAt(scrim) {
+  return new Date(new Date(scrim.startsAt).getTime() + scrim.durationMinutes * 60 * 1000).toISOString();
+}
+
+function describeScrim(scrim) {
+  return `**${scrim.teamAName}** vs **${scrim.teamBName}** · ${toTimestamp(scrim.startsAt, "f")} (${toTimestamp(scrim.startsAt)}) · ${scrim.durationMinutes} min`;
+}
+
+function disableScrimButtons(scrim, statusText) {
+  return disableActionButtons(client, scrim, statusText, "scrim_accept", "scrim_decline");
+}
+
+// both teams still exist; otherwise the scrim is cancelled (caller saves)
+function scrimTeams(scope, scrim) {
+  const teamA = scope.teams[scrim.teamAId];
+  const teamB = scope.teams[scrim.teamBId];
+  if (teamA && teamB) return { teamA, teamB };
+  scrim.status = "cancelled";
+  return null;
+}
+
+async function cancelScrimJobs(scrimId) {
+  for (const phase of ["expire", "reminder", "start", "end"]) await scheduler.cancel(scrimJobId(scrimId, phase));
+}
+
+// after acceptance: the reminder (skipped if the scrim is too close) and the start
+async function scheduleScrimJobs(guildId, scrim) {
+  const payload = { guildId, scrimId: scrim.id };
+  const remindAt = new Date(scrim.startsAt).getTime() - SCRIM_REMINDER_MS;
+  if (remindAt > Date.now()) await scheduler.schedule({ id: scrimJobId(scrim.id, "reminder"), type: "scrimReminder", runAt: remindAt, payload });
+  await scheduler.schedule({ id: scrimJobId(scrim.id, "start"), type: "scrimStart", runAt: scrim.startsAt, payload });
+}
+
+// Temporary voice channel both team roles can join, under the guild's team category
+async function createScrimVoiceChannel(guild, config, scrim, teamA, teamB) {
+  const voiceAllow = [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.Connect, PermissionFlagsBits.Speak];
+  const options = {
+    name: sanitizeChannelName(`scrim ${teamA.name} vs ${teamB.name}`),
+    type: ChannelType.GuildVoice,
+    reason: `Scrim ${teamA.name} vs ${teamB.name}`,
+    permissionOverwrites: [
+      { id: guild.roles.everyone.id, deny: [PermissionFlagsBits.ViewChannel] },
+      { id: teamA.roleId, allow: voiceAllow },
+      { id: teamB.roleId, allow: voiceAllow },
+      { id: client.user.id, allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.Connect, PermissionFlagsBits.ManageChannels] }
+    ].filter(x => x.id)
+  };
+  try {
+    return await guild.channels.create({ ...options, parent: config.categoryId });
+  } catch (err) {
+    console.warn("create scrim voice channel failed, retrying without parent:", err);
+    return guild.channels.create(options).catch(()=>null);
   }
 }
 
+// load the scrim a job refers to; null if it's gone or no longer in the expected status
+async function loadScrimForJob(job, status) {
+  const data = await loadData();
+  const scope = data.guilds[job.payload.guildId];
+  const scrim = scope?.scrims?.find(s => s.id === job.payload.scrimId);
+  if (!scrim || scrim.status !== status) return null;
+  return { data, scope, scrim };
+}
+
+scheduler.register("scrimExpire", async (job) => {
+  const found = await loadScrimForJob(job, "pending");
+  if (!found) return;
+  found.scrim.status = "expired";
+  await saveData(found.data);
+  await disableScrimButtons(found.scrim, "Expired — not answered before the start time");
+});
+
+scheduler.register("scrimReminder", async (job) => {
+  const found = await loadScrimForJob(job, "accepted");
+  if (!found) return;
+  const teams = scrimTeams(found.scope, found.scrim);
+  if (!teams) return saveData(found.data);
+  const guild = await client.guilds.fetch(job.payload.guildId).catch(()=>null);
+  if (!guild) return;
+  const { scrim } = found;
+  await postTeamNotice(guild, teams.teamA, `⏰ Scrim against **${teams.teamB.name}** starts ${toTimestamp(scrim.startsAt)}.`);
+  await postTeamNotice(guild, teams.teamB, `⏰ Scrim against **${teams.teamA.name}** starts ${toTimestamp(scrim.startsAt)}.`);
+});
+
+scheduler.register("scrimStart", async (job) => {
+  const found = await loadScrimForJob(job, "accepted");
+  if (!found) return;
+  const { data, scope, scrim } = found;
+  const teams = scrimTeams(scope, scrim);
+  if (!teams) return saveData(data);
+  const guild = await client.guilds.fetch(job.payload.guildId).catch(()=>null);
+  if (!guild) return;
+
+  const channel = await createScrimVoiceChannel(guild, getGuildConfig(scope), scrim, teams.teamA, teams.teamB);
+  scrim.status = "started";
+  scrim.voiceChannelId = channel?.id || null;
+  await saveData(data);
+  await scheduler.schedule({ id: scrimJobId(scrim.id, "end"), type: "scrimEnd", runAt: scrimEndsAt(scrim), payload: job.payload });
+
+  const where = channel ? ` Shared voice: <#${channel.id}>` : " (Couldn't create the shared voice channel.)";
+  await postTeamNotice(guild, teams.teamA, `🎮 Scrim against **${teams.teamB.name}** is starting now!${where}`);
+  await postTeamNotice(guild, teams.teamB, `🎮 Scrim against **${teams.teamA.name}** is starting now!${where}`);
+});
+
+// Remove the shared voice channel once the scrim is over and nobody is left in it
+scheduler.register("scrimEnd", async (job) => {
+  const found = await loadScrimForJob(job, "started");
+  if (!found) return;
+  const { data, scrim } = found;
+  const guild = await client.guilds.fetch(job.payload.guildId).catch(()=>null);
+  if (!guild) return;
+
+  const channel = scrim.voiceChannelId ? await guild.channels.fetch(scrim.voiceChannelId).catch(()=>null) : null;
+  if (channel?.members?.size > 0) {
+    await scheduler.schedule({ id: scrimJobId(scrim.id, "end"), type: "scrimEnd", runAt: Date.now() + SCRIM_CLEANUP_RETRY_MS, payload: job.payload });
+    return;
+  }
+  if (channel) await channel.delete(`Scrim ${scrim.teamAName} vs ${scrim.teamBName} is over`).catch(()=>null);
+  scrim.status = "ended";
+  scrim.voiceChannelId = null;
+  await saveData(data);
+});
+
 // ---------- Commands ----------
+// confirm buttons (disband, member removal) and the undo button after a removal stop working after this
+const CONFIRM_WINDOW_MS = 5 * 60 * 1000;
+
 const commands = [
   new SlashCommandBuilder()
     .setName("teamcreate")
     .setDescription("Create a team; you become the leader.")
-    .addStringOption(opt => opt.setName("name").setDescription("Optional team name")),
+    .addStringOption(opt => opt.setName("name").setDescription("Optional team name").setMaxLength(NAME_MAX_LENGTH)),
   new SlashCommandBuilder()
     .setName("teamadd")
-    .setDescription("Invite someone to your team (leader only).")
+    .setDescription("Invite someone to your team (leader or officer).")
     .addUserOption(opt => opt.setName("user").setDescription("User to invite").setRequired(true)),
   new SlashCommandBuilder()
     .setName("teaminfo")
     .setDescription("Show info about a team (default: your team).")
-    .addStringOption(opt => opt.setName("team").setDescription("Leader ID or team name")),
+    .addStringOption(opt => opt.setName("team").setDescription("Leader ID or team name").setAutocomplete(true)),
+  new SlashCommandBuilder()
+    .setName("teamlist")
+    .setDescription("Browse the teams in this server.")
+    .addBooleanOption(opt => opt.setName("open_slots").setDescription("Only show teams with room for more members"))
+    // kept short: the filter is carried in the page buttons' custom ids (100 char limit)
+    .addStringOption(opt => opt.setName("name").setDescription("Only show teams whose name contains this").setMaxLength(50)),
   new SlashCommandBuilder()
     .setName("teamremove")
-    .setDescription("Remove a member or delete your team (leader only; delete only allowed if team has 1 member).")
+    .setDescription("Remove a member (leader or officer), or with no user disband your team (leader only).")
     .addUserOption(opt => opt.setName("user").setDescription("Member to remove")),
   new SlashCommandBuilder()
     .setName("teamleave")
     .setDescription("Leave the team you're currently in."),
+  new SlashCommandBuilder()
+    .setName("teamtransfer")
+    .setDescription("Hand team leadership to another member (leader only).")
+    .addUserOption(opt => opt.setName("user").setDescription("Member who should become leader").setRequired(true)),
+  new SlashCommandBuilder()
+    .setName("teampromote")
+    .setDescription("Make a member an officer: they can invite, revoke invites and remove members (leader only).")
+    .addUserOption(opt => opt.setName("user").setDescription("Member to promote").setRequired(true)),
+  new SlashCommandBuilder()
+    .setName("teamdemote")
+    .setDescription("Take the officer rank away from a member (leader only).")
+    .addUserOption(opt => opt.setName("user").setDescription("Officer to demote").setRequired(true)),
+  new SlashCommandBuilder()
+    .setName("teamrevoke")
+    .setDescription("Withdraw a pending invite from your team (leader or officer).")
+    .addUserOption(opt => opt.setName("user").setDescription("Invited user").setRequired(true)),
+  new SlashCommandBuilder()
+    .setName("teamjoin")
+    .setDescription("Ask to join a team; its leader approves or denies.")
+    .addStringOption(opt => opt.setName("team").setDescription("Team name or leader ID").setRequired(true).setAutocomplete(true))
+    .addStringOption(opt => opt.setName("message").setDescription("A short note for the leader").setMaxLength(300)),
+  new SlashCommandBuilder()
+    .setName("teamjoinpolicy")
+    .setDescription("Choose whether players can request to join your team (leader only).")
+    .addStringOption(opt => opt
+      .setName("policy")
+      .setDescription("Join policy")
+      .setRequired(true)
+      .addChoices(
+        { name: "Open to join requests", value: "open" },
+        { name: "Invite only", value: "invite_only" }
+      )),
   new SlashCommandBuilder()
     .setName("teamnamechange")
     .setDescription("Change your team's name (leader only).")
-    .addStringOption(opt => opt.setName("name").setDescription("New team name").setRequired(true)),
+    .addStringOption(opt => opt.setName("name").setDescription("New team name").setRequired(true).setMaxLength(NAME_MAX_LENGTH)),
+  new SlashCommandBuilder()
+    .setName("teamedit")
+    .setDescription("Edit your team's profile: description, tag, color and recruiting status (leader only)."),
+  new SlashCommandBuilder()
+    .setName("teamconfig")
+    .setDescription("View or change team settings for this server (admin only).")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .setDMPermission(false)
+    .addSubcommand(sub => sub.setName("view").setDescription("Show the current settings."))
+    .addSubcommand(sub => sub
+      .setName("set")
+      .setDescription("Change one or more settings.")
+      .addIntegerOption(opt => opt.setName("max_team_size").setDescription("Maximum members per team").setMinValue(1).setMaxValue(25))
+      .addChannelOption(opt => opt.setName("category").setDescription("Category for team channels").addChannelTypes(ChannelType.GuildCategory))
+      .addIntegerOption(opt => opt.setName("invite_expiry_hours").setDescription("Hours before an invite expires").setMinValue(1).setMaxValue(168))
+      .addIntegerOption(opt => opt.setName("decline_cooldown_hours").setDescription("Hours before a team can re-invite someone who declined").setMinValue(0).setMaxValue(720))
+      .addIntegerOption(opt => opt.setName("invite_history_days").setDescription("Days to keep resolved invites before pruning them").setMinValue(1).setMaxValue(365))
+      .addRoleOption(opt => opt.setName("staff_role").setDescription("Role allowed to use /teamadmin (besides Manage Server)"))
+      .addChannelOption(opt => opt.setName("log_channel").setDescription("Channel that receives team event logs").addChannelTypes(ChannelType.GuildText))
+      .addStringOption(opt => opt.setName("channel_name_template").setDescription("Channel name template, e.g. {tag}-{name}-{type} ({type} is chat or vc)").setMaxLength(80))
+      .addIntegerOption(opt => opt.setName("idle_warning_days").setDescription("Days without activity before a team is warned (0 = never clean up)").setMinValue(0).setMaxValue(365))
+      .addIntegerOption(opt => opt.setName("idle_grace_days").setDescription("Days after the warning before an idle team is deleted").setMinValue(1).setMaxValue(60))
+      .addStringOption(opt => opt
+        .setName("disband_mode")
+        .setDescription("What happens to a disbanded team's text channel")
+        .addChoices({ name: "Delete it", value: "delete" }, { name: "Archive it read-only with a transcript", value: "archive" }))
+      .addChannelOption(opt => opt.setName("archive_category").setDescription("Category for archived team channels").addChannelTypes(ChannelType.GuildCategory))
+      .addStringOption(opt => opt.setName("blocklist_add").setDescription("Words to block in team names, separated by commas or spaces").setMaxLength(500))
+      .addStringOption(opt => opt.setName("blocklist_remove").setDescription("Words to allow again in team names").setMaxLength(500)))
+    .addSubcommand(sub => sub.setName("reset").setDescription("Restore all settings to their defaults.")),
+  new SlashCommandBuilder()
+    .setName("teamadmin")
+    .setDescription("Staff tools for managing any team (Manage Server or staff role).")
+    .setDMPermission(false)
+    .addSubcommand(sub => sub
+      .setName("disband")
+      .setDescription("Delete a team, its channels and its role.")
+      .addStringOption(opt => opt.setName("team").setDescription("Team name, team ID or leader ID").setRequired(true).setAutocomplete(true))
+      .addStringOption(opt => opt.setName("reason").setDescription("Reason (recorded in the audit log)").setRequired(true).setMaxLength(400)))
+    .addSubcommand(sub => sub
+      .setName("add")
+      .setDescription("Add a member to a team without an invite.")
+      .addStringOption(opt => opt.setName("team").setDescription("Team name, team ID or leader ID").setRequired(true).setAutocomplete(true))
+      .addUserOption(opt => opt.setName("user").setDescription("User to add").setRequired(true))
+      .addStringOption(opt => opt.setName("reason").setDescription("Reason (recorded in the audit log)").setRequired(true).setMaxLength(400)))
+    .addSubcommand(sub => sub
+      .setName("kick")
+      .setDescription("Remove a member from a team.")
+      .addStringOption(opt => opt.setName("team").setDescription("Team name, team ID or leader ID").setRequired(true).setAutocomplete(true))
+      .addUserOption(opt => opt.setName("user").setDescription("Member to remove").setRequired(true))
+      .addStringOption(opt => opt.setName("reason").setDescription("Reason (recorded in the audit log)").setRequired(true).setMaxLength(400)))
+    .addSubcommand(sub => sub
+      .setName("rename")
+      .setDescription("Rename a team.")
+      .addStringOption(opt => opt.setName("team").setDescription("Team name, team ID or leader ID").setRequired(true).setAutocomplete(true))
+      .addStringOption(opt => opt.setName("name").setDescription("New team name").setRequired(true).setMaxLength(NAME_MAX_LENGTH))
+      .addStringOption(opt => opt.setName("reason").setDescription("Reason (recorded in the audit log)").setRequired(true).setMaxLength(400)))
+    .addSubcommand(sub => sub
+      .setName("history")
+      .setDescription("Show a team's recorded events (works for deleted teams too).")
+      .addStringOption(opt => opt.setName("team").setDescription("Team name or team ID").setRequired(true).setAutocomplete(true))
+      .addIntegerOption(opt => opt.setName("limit").setDescription("How many events to show (default 15)").setMinValue(1).setMaxValue(25)))
+    .addSubcommand(sub => sub
+      .setName("restore")
+      .setDescription("Bring back an archived team with its original roster.")
+      .addStringOption(opt => opt.setName("team").setDescription("Archived team name or ID").setRequired(true).setAutocomplete(true))
+      .addStringOption(opt => opt.setName("reason").setDescription("Reason (recorded in the audit log)").setRequired(true).setMaxLength(400)))
+    .addSubcommand(sub => sub
+      .setName("leader")
+      .setDescription("Make another member the team leader (no confirmation).")
+      .addStringOption(opt => opt.setName("team").setDescription("Team name, team ID or leader ID").setRequired(true).setAutocomplete(true))
+      .addUserOption(opt => opt.setName("user").setDescription("Member who becomes leader").setRequired(true))
+      .addStringOption(opt => opt.setName("reason").setDescription("Reason (recorded in the audit log)").setRequired(true).setMaxLength(400))),
+  new SlashCommandBuilder()
+    .setName("teamevent")
+    .setDescription("Create and manage events that teams register for (Manage Server or staff role).")
+    .setDMPermission(false)
+    .addSubcommand(sub => sub
+      .setName("create")
+      .setDescription("Create an event; rosters of registered teams lock when registration closes.")
+      .addStringOption(opt => opt.setName("name").setDescription("Event name").setRequired(true).setMaxLength(80))
+      .addNumberOption(opt => opt.setName("closes_in_hours").setDescription("Hours from now until registration closes").setRequired(true).setMinValue(0.1).setMaxValue(2160))
+      .addNumberOption(opt => opt.setName("opens_in_hours").setDescription("Hours from now until registration opens (default: now)").setMinValue(0).setMaxValue(2160))
+      .addChannelOption(opt => opt.setName("channel").setDescription("Where to announce the event (default: this channel)").addChannelTypes(ChannelType.GuildText)))
+    .addSubcommand(sub => sub.setName("list").setDescription("Show this server's events."))
+    .addSubcommand(sub => sub
+      .setName("end")
+      .setDescription("End an event (or cancel it early) and unlock its rosters.")
+      .addStringOption(opt => opt.setName("event").setDescription("Event name or ID").setRequired(true).setAutocomplete(true))),
+  new SlashCommandBuilder()
+    .setName("teamregister")
+    .setDescription("Register your team for an event, or withdraw it (leader only).")
+    .addStringOption(opt => opt.setName("event").setDescription("Event name or ID").setRequired(true).setAutocomplete(true))
+    .addBooleanOption(opt => opt.setName("withdraw").setDescription("Withdraw your team instead of registering")),
+  new SlashCommandBuilder()
+    .setName("teamexport")
+    .setDescription("Download every team as a CSV or JSON file (Manage Server or staff role).")
+    .setDMPermission(false)
+    .addStringOption(opt => opt
+      .setName("format")
+      .setDescription("File format (default CSV)")
+      .addChoices({ name: "CSV", value: "csv" }, { name: "JSON", value: "json" })),
+  new SlashCommandBuilder()
+    .setName("teamimport")
+    .setDescription("Create teams from a CSV or JSON file in the /teamexport layout (Manage Server or staff role).")
+    .setDMPermission(false)
+    .addAttachmentOption(opt => opt.setName("file").setDescription("A .csv or .json file").setRequired(true))
+    .addBooleanOption(opt => opt.setName("dry_run").setDescription("Only validate and preview; create nothing")),
+  new SlashCommandBuilder()
+    .setName("lfg")
+    .setDescription("Join or leave the free-agent pool of players looking for a team.")
+    .setDMPermission(false)
+    .addSubcommand(sub => sub
+      .setName("join")
+      .setDescription("Add yourself to the pool (run again to update your tags).")
+      .addStringOption(opt => opt.setName("role").setDescription("Role you play, e.g. support").setMaxLength(30))
+      .addIntegerOption(opt => opt.setName("skill").setDescription("Self-rated skill from 1 to 10").setMinValue(1).setMaxValue(10))
+      .addStringOption(opt => opt.setName("timezone").setDescription("UTC offset, e.g. UTC+2 or UTC-5:30").setMaxLength(12))
+      .addStringOption(opt => opt.setName("note").setDescription("Anything teams should know").setMaxLength(200)))
+    .addSubcommand(sub => sub.setName("leave").setDescription("Remove yourself from the pool."))
+    .addSubcommand(sub => sub.setName("list").setDescription("Show the players in the pool.")),
+  new SlashCommandBuilder()
+    .setName("teamautofill")
+    .setDescription("Place free agents into new teams or open slots (Manage Server or staff role).")
+    .setDMPermission(false)
+    .addStringOption(opt => opt
+      .setName("mode")
+      .setDescription("What to fill (default: top up open teams, then form new ones)")
+      .addChoices(
+        { name: "Top up, then new teams", value: "both" },
+        { name: "Only top up existing teams", value: "topup" },
+        { name: "Only form new teams", value: "new" }
+      ))
+    .addIntegerOption(opt => opt.setName("min_size").setDescription("Smallest new team to form from leftovers (default 2)").setMinValue(1).setMaxValue(25))
+    .addBooleanOption(opt => opt.setName("dry_run").setDescription("Only preview the placements")),
+  new SlashCommandBuilder()
+    .setName("matchreport")
+    .setDescription("Report a match result against another team (leader or officer).")
+    .setDMPermission(false)
+    .addStringOption(opt => opt.setName("opponent").setDescription("The team you played").setRequired(true).setAutocomplete(true))
+    .addStringOption(opt => opt
+      .setName("result")
+      .setDescription("How it went for your team")
+      .setRequired(true)
+      .addChoices({ name: "Win", value: "win" }, { name: "Loss", value: "loss" }, { name: "Draw", value: "draw" }))
+    .addStringOption(opt => opt.setName("score").setDescription("Optional score, e.g. 13-7").setMaxLength(30)),
+  new SlashCommandBuilder()
+    .setName("leaderboard")
+    .setDescription("Show teams ranked by rating.")
+    .setDMPermission(false),
+  new SlashCommandBuilder()
+    .setName("scrim")
+    .setDescription("Schedule practice matches against other teams (leader only).")
+    .setDMPermission(false)
+    .addSubcommand(sub => sub
+      .setName("propose")
+      .setDescription("Propose a scrim; the other team's leader accepts or declines.")
+      .addStringOption(opt => opt.setName("opponent").setDescription("The team to play").setRequired(true).setAutocomplete(true))
+      .addNumberOption(opt => opt.setName("starts_in_hours").setDescription("Hours from now until the scrim starts").setRequired(true).setMinValue(0.25).setMaxValue(720))
+      .addIntegerOption(opt => opt.setName("duration_minutes").setDescription("How long the shared voice channel is kept (default 60)").setMinValue(15).setMaxValue(480))
+      .addStringOption(opt => opt.setName("note").setDescription("Format, map pool, anything the other team should know").setMaxLength(200)))
+    .addSubcommand(sub => sub
+      .setName("cancel")
+      .setDescription("Withdraw a proposal or call off an accepted scrim.")
+      .addStringOption(opt => opt.setName("scrim").setDescription("The scrim to cancel").setRequired(true).setAutocomplete(true))),
+  new SlashCommandBuilder()
+    .setName("scrims")
+    .setDescription("List upcoming scrims in this server.")
+    .setDMPermission(false)
+    .addBooleanOption(opt => opt.setName("mine").setDescription("Only show your team's scrims")),
+  new SlashCommandBuilder()
+    .setName("teamsync")
+    .setDescription("Repair teams against the server: missing channels/roles, departed members (staff).")
+    .setDMPermission(false),
+  new SlashCommandBuilder()
+    .setName("myinvites")
+    .setDescription("Show your pending invites and cooldowns (and your team's outgoing invites if you lead one)."),
   new SlashCommandBuilder()
     .setName("accept")
     .setDescription("Accept a pending team invite.")
-    .addStringOption(opt => opt.setName("team").setDescription("Leader ID or team name")),
+    .addStringOption(opt => opt.setName("team").setDescription("Leader ID or team name").setAutocomplete(true)),
   new SlashCommandBuilder()
     .setName("decline")
     .setDescription("Decline a pending team invite.")
-    .addStringOption(opt => opt.setName("team").setDescription("Leader ID or team name")),
+    .addStringOption(opt => opt.setName("team").setDescription("Leader ID or team name").setAutocomplete(true)),
 ].map(c => c.toJSON());
 
 // ---------- Register commands ----------
@@ -256,35 +1394,67 @@ async function registerCommands() {
 
 // ---------- Discord client ----------
 const client = new Client({
-  intents: [GatewayIntentBits.Guilds],
-  partials: [Partials.Channel],
+  // GuildMessages/GuildVoiceStates feed team activity tracking; MessageContent (privileged) is
+  // only needed for the text of archived channel transcripts, so it's requested only when enabled
+  intents: [
+    GatewayIntentBits.Guilds, GatewayIntentBits.GuildMembers, GatewayIntentBits.GuildMessages, GatewayIntentBits.GuildVoiceStates,
+    ...(MESSAGE_CONTENT_INTENT ? [GatewayIntentBits.MessageContent] : [])
+  ],
+  partials: [Partials.Channel, Partials.GuildMember],
 });
 
-client.once("ready", () => {
+client.once("ready", async () => {
   console.log(`Logged in as ${client.user.tag}`);
 
-  // Set up cleanup interval (every 30 minutes)
-  setInterval(async () => {
-    try {
-      const data = await loadData();
-      await cleanupExpiredInvites(client, data);
-    } catch (err) {
-      console.error("Error during cleanup:", err);
-    }
-  }, 30 * 60 * 1000); // 30 minutes
-});
+  // loaded (and migrated) only now, since migrating old data looks teams up in the guild cache
+  try {
+    await loadData();
+  } catch (err) {
+    if (!(err instanceof StorageError)) throw err;
+    console.error(err.message);
+    await client.destroy();
+    process.exit(1);
+  }
 
-// Utility: create role + private channels and return ids
-async function createTeamResources(guild, teamName, leaderId) {
-  const baseName = sanitizeChannelName(teamName);
+  // Arm stored jobs; anything that came due while offline runs now
+  try {
+    await syncInviteExpiryJobs(await loadData());
+    await scheduler.ensureRecurring({ id: "prune-invite-history", type: "pruneInviteHistory", intervalMs: INVITE_PRUNE_INTERVAL_MS });
+    await scheduler.ensureRecurring({ id: "reconcile-teams", type: "reconcileTeams", intervalMs: RECONCILE_INTERVAL_MS });
+    await scheduler.ensureRecurring({ id: "check-idle-teams", type: "checkIdleTeams", intervalMs: IDLE_CHECK_INTERVAL_MS });
+    await scheduler.start();
+  } catch (err) {
+    console.error("Failed to start scheduler:", err);
+  }
+
+  // fix anything that drifted while the bot was offline
+  await reconcileAllGuilds().catch(err => console.error("Startup team sync failed:", err));
+});
+
+// Utility: create role + private channels and return ids
+// profile: optional { color, tag } from /teamedit
+async function createTeamResources(guild, teamName, leaderId, config = DEFAULT_GUILD_CONFIG, { color = null, tag = null } = {}) {
+  const role = await createTeamRole(guild, teamName, color);
+  const textChannel = await createTeamChannel(guild, config, teamName, "chat", role ? role.id : null, leaderId, [], { tag });
+  const voiceChannel = await createTeamChannel(guild, config, teamName, "vc", role ? role.id : null, leaderId, [], { tag });
+
+  return {
+    roleId: role ? role.id : null,
+    textChannelId: textChannel ? textChannel.id : null,
+    voiceChannelId: voiceChannel ? voiceChannel.id : null
+  };
+}
+
+// Create the team role (falls back to an existing role with the same name)
+async function createTeamRole(guild, teamName, color = null) {
+  const baseName = sanitizeChannelName(teamName);
   // role name distinct
   const roleName = `team-${baseName}`;
 
-  // Create role
-  let role;
   try {
-    role = await guild.roles.create({
+    return await guild.roles.create({
       name: roleName,
+      color: color || undefined,
       mentionable: false,
       hoist: false,
       reason: `Team role for ${teamName}`
@@ -292,67 +1462,52 @@ async function createTeamResources(guild, teamName, leaderId) {
   } catch (err) {
     console.warn("Failed to create role, trying to continue:", err);
     // Try to find existing role with same name as fallback
-    role = guild.roles.cache.find(r => r.name === roleName) || null;
+    return guild.roles.cache.find(r => r.name === roleName) || null;
   }
+}
+
+// Explicit per-user permissions for the leader and officers, by channel type ("chat" | "vc")
+const RANK_PERMISSIONS = {
+  chat: ["ViewChannel", "SendMessages", "ManageMessages"],
+  vc: ["ViewChannel", "Connect", "Speak", "MuteMembers", "MoveMembers"]
+};
 
-  // Permission overwrites:
-  // - deny @everyone view
-  // - allow the team role to view/connect
-  // - allow the leader explicit permissions (in case you want leader separate)
-  // - allow bot
+// Permission overwrites:
+// - deny @everyone view
+// - allow the team role to view/connect
+// - allow the leader and officers explicit moderation permissions
+// - allow bot
+function teamChannelOverwrites(guild, type, roleId, leaderId, officerIds = []) {
   const everyoneId = guild.roles.everyone.id;
-  const overwrites = [
+  const rankAllow = RANK_PERMISSIONS[type].map(p => PermissionFlagsBits[p]);
+  return [
     { id: everyoneId, deny: [PermissionFlagsBits.ViewChannel] },
-    { id: role ? role.id : null, allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.Connect, PermissionFlagsBits.Speak] },
-    { id: leaderId, allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.Connect, PermissionFlagsBits.Speak] },
+    { id: roleId, allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.Connect, PermissionFlagsBits.Speak] },
+    { id: leaderId, allow: rankAllow },
+    ...officerIds.map(id => ({ id, allow: rankAllow })),
     { id: client.user.id, allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.Connect] }
   ].filter(x => x && x.id); // remove nulls if role missing
+}
 
-  // Create text channel
-  let textChannel;
-  try {
-    textChannel = await guild.channels.create({
-      name: `${baseName}-chat`,
-      type: ChannelType.GuildText,
-      parent: TEAM_CATEGORY_ID,
-      permissionOverwrites: overwrites
-    });
-  } catch (err) {
-    console.warn("create text channel failed, retrying without parent:", err);
-    textChannel = await guild.channels.create({
-      name: `${baseName}-chat`,
-      type: ChannelType.GuildText,
-      permissionOverwrites: overwrites
-    }).catch(()=>null);
-  }
-
-  // Create voice channel
-  let voiceChannel;
+// Create a team text ("chat") or voice ("vc") channel under the guild's team category
+// tag/topic come from the team profile; the topic only applies to the text channel
+async function createTeamChannel(guild, config, teamName, type, roleId, leaderId, officerIds = [], { tag = null, topic = null } = {}) {
+  const options = {
+    name: teamChannelName(config, teamName, type, tag),
+    type: type === "vc" ? ChannelType.GuildVoice : ChannelType.GuildText,
+    permissionOverwrites: teamChannelOverwrites(guild, type, roleId, leaderId, officerIds)
+  };
+  if (topic && type === "chat") options.topic = topic;
   try {
-    voiceChannel = await guild.channels.create({
-      name: `${baseName}-vc`,
-      type: ChannelType.GuildVoice,
-      parent: TEAM_CATEGORY_ID,
-      permissionOverwrites: overwrites
-    });
+    return await guild.channels.create({ ...options, parent: config.categoryId });
   } catch (err) {
-    console.warn("create voice channel failed, retrying without parent:", err);
-    voiceChannel = await guild.channels.create({
-      name: `${baseName}-vc`,
-      type: ChannelType.GuildVoice,
-      permissionOverwrites: overwrites
-    }).catch(()=>null);
+    console.warn(`create ${type} channel failed, retrying without parent:`, err);
+    return guild.channels.create(options).catch(()=>null);
   }
-
-  return {
-    roleId: role ? role.id : null,
-    textChannelId: textChannel ? textChannel.id : null,
-    voiceChannelId: voiceChannel ? voiceChannel.id : null
-  };
 }
 
 // Grant access by adding the team role to the member
-async function grantMemberChannelAccess(guild, team, memberId) {
+async function grantMemberChannelAccess(guild, team, memberId, reason = `Joining team ${team.name}`) {
   try {
     if (!team.roleId) {
       console.warn("grantMemberChannelAccess: no roleId for team", team.teamId);
@@ -361,45 +1516,603 @@ async function grantMemberChannelAccess(guild, team, memberId) {
     const member = await guild.members.fetch(memberId).catch(()=>null);
     if (!member) return;
     // add role
-    await member.roles.add(team.roleId, `Joining team ${team.name}`).catch(err => { console.warn("roles.add failed:", err); });
+    await member.roles.add(team.roleId, reason).catch(err => { console.warn("roles.add failed:", err); });
   } catch (err) {
     console.warn("grantMemberChannelAccess error:", err);
   }
 }
 
 // Revoke access by removing the team role from the member
-async function revokeMemberChannelAccess(guild, team, memberId) {
+// (and any officer overwrite they still hold)
+async function revokeMemberChannelAccess(guild, team, memberId, reason = `Leaving team ${team.name}`) {
+  await setRankOverwrites(guild, team, memberId, false, reason);
   try {
     if (!team.roleId) return;
     const member = await guild.members.fetch(memberId).catch(()=>null);
     if (!member) return;
-    await member.roles.remove(team.roleId, `Leaving team ${team.name}`).catch(() => null);
+    await member.roles.remove(team.roleId, reason).catch(() => null);
   } catch (err) {
     console.warn("revokeMemberChannelAccess error:", err);
   }
 }
 
+// Give (grant=true) or take away a member's leader/officer overwrite in both team channels
+async function setRankOverwrites(guild, team, memberId, grant, reason) {
+  for (const [key, type] of [["textChannelId", "chat"], ["voiceChannelId", "vc"]]) {
+    if (!team[key]) continue;
+    try {
+      const ch = guild.channels.cache.get(team[key]) || await guild.channels.fetch(team[key]).catch(()=>null);
+      if (!ch) continue;
+      if (grant) {
+        const allow = Object.fromEntries(RANK_PERMISSIONS[type].map(p => [p, true]));
+        await ch.permissionOverwrites.create(memberId, allow, { reason }).catch(err => console.warn("Failed to add rank overwrite:", err));
+      } else if (ch.permissionOverwrites.cache.has(memberId)) {
+        await ch.permissionOverwrites.delete(memberId, reason).catch(err => console.warn("Failed to remove rank overwrite:", err));
+      }
+    } catch (err) {
+      console.warn("setRankOverwrites error:", err);
+    }
+  }
+}
+
+// Move the leader's explicit channel overwrite (set up in createTeamResources) to a new leader
+async function moveLeaderOverwrites(guild, team, oldLeaderId, newLeaderId, reason = `Leadership of ${team.name} transferred`) {
+  await setRankOverwrites(guild, team, oldLeaderId, false, reason);
+  await setRankOverwrites(guild, team, newLeaderId, true, reason);
+}
+
+// Make newLeaderId the leader of team (must already be a member). Keeps the leader first in members.
+// A promoted officer gives up the officer rank; the old leader becomes a regular member.
+async function transferLeadership(guild, team, newLeaderId, reason) {
+  const oldLeaderId = team.leaderId;
+  team.leaderId = newLeaderId;
+  team.members = [newLeaderId, ...team.members.filter(m => m !== newLeaderId)];
+  if (team.officers) team.officers = team.officers.filter(m => m !== newLeaderId);
+  if (guild) await moveLeaderOverwrites(guild, team, oldLeaderId, newLeaderId, reason);
+  return oldLeaderId;
+}
+
+// Channels/roles the bot is deleting itself, so the channelDelete/roleDelete listeners don't recreate them
+const selfDeletedIds = new Set();
+
 // Delete channels AND role
-async function deleteTeamChannelsAndRole(guild, team) {
+async function deleteTeamChannelsAndRole(guild, team, reason = `Team ${team.name} deleted`) {
+  for (const id of [team.textChannelId, team.voiceChannelId, team.roleId]) if (id) selfDeletedIds.add(id);
   try {
     if (team.textChannelId) {
       const ch = guild.channels.cache.get(team.textChannelId) || await guild.channels.fetch(team.textChannelId).catch(()=>null);
-      if (ch) await ch.delete().catch(()=>null);
+      if (ch) await ch.delete(reason).catch(()=>null);
     }
     if (team.voiceChannelId) {
       const ch = guild.channels.cache.get(team.voiceChannelId) || await guild.channels.fetch(team.voiceChannelId).catch(()=>null);
-      if (ch) await ch.delete().catch(()=>null);
+      if (ch) await ch.delete(reason).catch(()=>null);
     }
     if (team.roleId) {
       // try to delete role
       const role = guild.roles.cache.get(team.roleId) || await guild.roles.fetch(team.roleId).catch(()=>null);
-      if (role) await role.delete(`Team ${team.name} deleted`).catch(err => console.warn("role delete failed:", err));
+      if (role) await role.delete(reason).catch(err => console.warn("role delete failed:", err));
     }
   } catch (err) {
     console.warn("deleteTeamChannelsAndRole error:", err);
   }
 }
 
+// transcripts cover at most this many of the newest messages
+const TRANSCRIPT_MAX_MESSAGES = 10000;
+
+// Plain-text transcript of a channel, oldest message first. Without the Message Content intent
+// Discord sends other users' messages empty, so only the time and author are recorded.
+async function buildTranscript(channel) {
+  const lines = [];
+  let before;
+  while (lines.length < TRANSCRIPT_MAX_MESSAGES) {
+    const batch = await channel.messages.fetch({ limit: 100, before }).catch(() => null);
+    if (!batch || batch.size === 0) break;
+    for (const message of batch.values()) {
+      if (!MESSAGE_CONTENT_INTENT) {
+        lines.push(`[${message.createdAt.toISOString()}] ${message.author.tag}`);
+        continue;
+      }
+      const extras = [...message.attachments.values()].map(a => ` [attachment: ${a.url}]`).join("");
+      const embeds = message.embeds.length ? ` [${message.embeds.length} embed(s)]` : "";
+      lines.push(`[${message.createdAt.toISOString()}] ${message.author.tag}: ${message.content}${extras}${embeds}`);
+    }
+    before = batch.lastKey();
+  }
+  const header = MESSAGE_CONTENT_INTENT ? [] : ["(Message text is not included: the bot runs without the Message Content intent.)", ""];
+  return [...header, ...lines.reverse()].join("\n");
+}
+
+// Build the transcript and post it in the channel; returns the attachment URL, or null if any step failed
+async function postTranscript(channel, team) {
+  try {
+    const transcript = await buildTranscript(channel);
+    const file = new AttachmentBuilder(Buffer.from(transcript, "utf8"), { name: `transcript-${sanitizeChannelName(team.name)}.txt` });
+    const posted = await channel.send({ content: `This channel was archived: **${team.name}** was disbanded. Transcript attached.`, files: [file] });
+    return posted.attachments.first()?.url || null;
+  } catch (err) {
+    console.warn(`Transcript for ${team.name} failed:`, err);
+    await channel.send(`This channel was archived: **${team.name}** was disbanded. (The transcript couldn't be created.)`).catch(()=>null);
+    return null;
+  }
+}
+
+// Archive instead of delete: the text channel moves to the archive category, read-only for the
+// former members, with a transcript attached; the voice channel and role are deleted.
+// Returns the archive record to store (caller saves).
+async function archiveTeamResources(guild, team, config, reason = `Team ${team.name} archived`) {
+  const channel = team.textChannelId ? await guild.channels.fetch(team.textChannelId).catch(()=>null) : null;
+  let transcriptUrl = null;
+
+  if (channel) {
+    const readOnly = {
+      allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.ReadMessageHistory],
+      deny: [PermissionFlagsBits.SendMessages, PermissionFlagsBits.AddReactions, PermissionFlagsBits.CreatePublicThreads, PermissionFlagsBits.CreatePrivateThreads, PermissionFlagsBits.SendMessagesInThreads]
+    };
+    try {
+      await channel.edit({
+        parent: config.archiveCategoryId || channel.parentId,
+        permissionOverwrites: [
+          { id: guild.roles.everyone.id, deny: [PermissionFlagsBits.ViewChannel] },
+          { id: client.user.id, allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.AttachFiles, PermissionFlagsBits.ReadMessageHistory] },
+          ...team.members.map(id => ({ id, ...readOnly }))
+        ],
+        reason
+      });
+    } catch (err) {
+      console.warn("Failed to move team channel to the archive:", err);
+    }
+
+    // a failed transcript only means the archive has none; the disband carries on
+    transcriptUrl = await postTranscript(channel, team);
+  }
+
+  // everything except the archived text channel goes
+  await deleteTeamChannelsAndRole(guild, { ...team, textChannelId: channel ? null : team.textChannelId }, reason);
+
+  return archiveRecord(team, reason, channel ? channel.id : null, transcriptUrl);
+}
+
+// What /teamadmin restore needs to bring an archived team back
+function archiveRecord(team, reason, textChannelId, transcriptUrl = null) {
+  return {
+    id: `archive-${Date.now()}-${team.teamId}`,
+    archivedAt: nowISO(),
+    reason: reason || null,
+    textChannelId,
+    transcriptUrl,
+    team: { ...team, voiceChannelId: null, roleId: null }
+  };
+}
+
+// ---------- Team operations (shared by member and staff commands) ----------
+
+// Delete a team: cancel pending invites/transfers, remove channels + role and drop it from storage.
+// In the guild's "archive" disband mode the text channel is archived (see archiveTeamResources). Caller saves.
+async function disbandTeam(guild, scope, team, reason) {
+  const teamInvites = scope.invites.filter(inv => inv.teamId === team.teamId);
+  for (const invite of teamInvites) {
+    if (invite.status === "pending") {
+      invite.status = "cancelled";
+      await disableInviteButtons(client, invite, "Team was deleted");
+    }
+  }
+  scope.invites = scope.invites.filter(inv => inv.teamId !== team.teamId);
+  for (const transfer of scope.transfers.filter(t => t.teamId === team.teamId && t.status === "pending")) {
+    await disableTransferButtons(client, transfer, "Team was deleted");
+  }
+  scope.transfers = scope.transfers.filter(t => t.teamId !== team.teamId);
+
+  const config = getGuildConfig(scope);
+  if (guild && config.disbandMode === "archive") {
+    try {
+      scope.archives.push(await archiveTeamResources(guild, team, config, reason));
+    } catch (err) {
+      // still finish the disband: keep the text channel as it is, so it can be restored, and drop the rest
+      console.warn(`Archiving ${team.name} failed, keeping its text channel in place:`, err);
+      await deleteTeamChannelsAndRole(guild, { ...team, textChannelId: null }, reason).catch(()=>null);
+      scope.archives.push(archiveRecord(team, reason, team.textChannelId || null));
+    }
+  } else if (guild) {
+    await deleteTeamChannelsAndRole(guild, team, reason);
+  }
+  delete scope.teams[team.teamId];
+}
+
+// Disband a team and tell everyone on it: take away each member's access, disband it (see disbandTeam),
+// save, log team.deleted and DM notice to the former members (except actorId, who did it).
+// Shared by the leader's disband button, /teamadmin disband and idle cleanup.
+async function disbandTeamAndNotify(guild, data, guildId, team, { auditReason, logReason, actorId, notice }) {
+  const scope = guildData(data, guildId);
+  const formerMembers = [...team.members];
+  if (guild) {
+    for (const memberId of formerMembers) await revokeMemberChannelAccess(guild, team, memberId, auditReason);
+  }
+  await disbandTeam(guild, scope, team, auditReason);
+  await saveData(data);
+  await logTeamEvent(data, guildId, { type: "team.deleted", team, actorId, reason: logReason });
+
+  for (const memberId of formerMembers.filter(id => id !== actorId)) {
+    const user = await client.users.fetch(memberId).catch(()=>null);
+    if (user) user.send(notice).catch(()=>null);
+  }
+  return formerMembers;
+}
+
+// find an archive by archive id, team id or (case-insensitive) team name; the newest match wins
+function resolveArchive(scope, arg) {
+  return [...scope.archives].reverse().find(a => a.id === arg || a.team.teamId === arg || a.team.name.toLowerCase() === arg.toLowerCase()) || null;
+}
+
+// Bring an archived team back with its original roster and its archived text channel.
+// Members who left the server or have joined another team are dropped; a missing leader is
+// replaced by the next member. Returns { team, dropped } or { error }. Caller saves.
+async function restoreArchivedTeam(guild, scope, config, archive, reason) {
+  const saved = archive.team;
+  const clash = findNameCollision(saved.name, Object.values(scope.teams).map(t => t.name));
+  if (clash !== null) {
+    return { error: `The team "${clash}" now uses the same name (or the same channel name). Rename one of them first.` };
+  }
+  const present = await fetchGuildMembers(guild, saved.members);
+  if (!present) return { error: "Couldn't look up the original roster. Please try again." };
+  const members = saved.members.filter(id => present.has(id) && !findUserTeam(scope, id));
+  if (members.length === 0) return { error: "None of the original members can rejoin (they left the server or are in other teams)." };
+
+  const leaderId = members.includes(saved.leaderId) ? saved.leaderId : members[0];
+  const team = {
+    ...saved,
+    leaderId,
+    members: [leaderId, ...members.filter(id => id !== leaderId)],
+    officers: (saved.officers || []).filter(id => members.includes(id) && id !== leaderId),
+    lastActiveAt: nowISO()
+  };
+  delete team.idleWarning;
+
+  const role = await createTeamRole(guild, team.name, team.color);
+  team.roleId = role ? role.id : null;
+
+  // reuse the archived channel so the chat history stays with the team
+  const archived = archive.textChannelId ? await guild.channels.fetch(archive.textChannelId).catch(()=>null) : null;
+  const restored = archived && await archived.edit({
+    name: teamChannelName(config, team.name, "chat", team.tag),
+    topic: teamTopic(team),
+    parent: config.categoryId,
+    permissionOverwrites: teamChannelOverwrites(guild, "chat", team.roleId, team.leaderId, team.officers),
+    reason
+  }).catch(err => { console.warn("Failed to restore archived channel:", err); return null; });
+  const profile = { tag: team.tag, topic: teamTopic(team) };
+  const textChannel = restored || await createTeamChannel(guild, config, team.name, "chat", team.roleId, team.leaderId, team.officers, profile);
+  const voiceChannel = await createTeamChannel(guild, config, team.name, "vc", team.roleId, team.leaderId, team.officers, profile);
+  team.textChannelId = textChannel ? textChannel.id : null;
+  team.voiceChannelId = voiceChannel ? voiceChannel.id : null;
+
+  scope.teams[team.teamId] = team;
+  scope.archives = scope.archives.filter(a => a.id !== archive.id);
+  for (const id of team.members) await grantMemberChannelAccess(guild, team, id, reason);
+  return { team, dropped: saved.members.filter(id => !members.includes(id)) };
+}
+
+// Rename a team along with its role and channels. Caller saves.
+async function renameTeam(guild, config, team, newName, reason) {
+  const oldName = team.name;
+  team.name = newName;
+  if (!guild) return oldName;
+
+  const base = sanitizeChannelName(newName);
+
+  // rename role
+  if (team.roleId) {
+    try {
+      const role = guild.roles.cache.get(team.roleId) || await guild.roles.fetch(team.roleId).catch(()=>null);
+      if (role) {
+        await role.setName(`team-${base}`, reason).catch(err => { console.warn("Failed to rename role:", err); });
+      }
+    } catch (err) {
+      console.warn("Role rename error:", err);
+    }
+  }
+
+  // rename text channel
+  if (team.textChannelId) {
+    try {
+      const tch = guild.channels.cache.get(team.textChannelId) || await guild.channels.fetch(team.textChannelId).catch(()=>null);
+      if (tch) await tch.edit({ name: teamChannelName(config, newName, "chat", team.tag), topic: teamTopic(team), reason }).catch(err => { console.warn("Failed to rename text channel:", err); });
+    } catch (err) {
+      console.warn("Text channel rename error:", err);
+    }
+  }
+
+  // rename voice channel
+  if (team.voiceChannelId) {
+    try {
+      const vch = guild.channels.cache.get(team.voiceChannelId) || await guild.channels.fetch(team.voiceChannelId).catch(()=>null);
+      if (vch) await vch.setName(teamChannelName(config, newName, "vc", team.tag), reason).catch(err => { console.warn("Failed to rename voice channel:", err); });
+    } catch (err) {
+      console.warn("Voice channel rename error:", err);
+    }
+  }
+
+  return oldName;
+}
+
+// Create a team that starts with a full roster (imports, autofill): resources, roles, officer
+// overwrites and the audit entry. members must start with the leader. Saves; returns the team.
+async function createTeamWithMembers(guild, data, config, { name, leaderId, members, officers = [] }, { actorId, reason, auditReason }) {
+  const scope = guildData(data, guild.id);
+  const team = {
+    teamId: `team-${Date.now()}-${leaderId}`,
+    name,
+    leaderId,
+    members,
+    officers,
+    createdAt: nowISO(),
+    lastActiveAt: nowISO(),
+    guildId: guild.id,
+    textChannelId: null,
+    voiceChannelId: null,
+    roleId: null
+  };
+  try {
+    const resources = await createTeamResources(guild, name, leaderId, config);
+    team.textChannelId = resources.textChannelId;
+    team.voiceChannelId = resources.voiceChannelId;
+    team.roleId = resources.roleId;
+  } catch (err) {
+    console.warn("Failed to create team resources:", err);
+  }
+  scope.teams[team.teamId] = team;
+  await saveData(data);
+
+  for (const memberId of members) await grantMemberChannelAccess(guild, team, memberId, auditReason);
+  for (const officerId of officers) await setRankOverwrites(guild, team, officerId, true, auditReason);
+  await logTeamEvent(data, guild.id, { type: "team.created", team, actorId, reason });
+  return team;
+}
+
+// Fetch guild members by id in gateway-sized batches. Returns a Map of the ones found, or null on failure.
+async function fetchGuildMembers(guild, ids) {
+  const found = new Map();
+  // the gateway takes at most 100 user ids per member request
+  for (let i = 0; i < ids.length; i += 100) {
+    const batch = await guild.members.fetch({ user: ids.slice(i, i + 100) }).catch(() => null);
+    if (!batch) return null;
+    for (const [id, member] of batch) found.set(id, member);
+  }
+  return found;
+}
+
+// Push a team's profile to Discord: role color, channel names (for {tag}) and the text channel topic
+async function applyTeamProfile(guild, config, team, reason) {
+  if (team.roleId) {
+    const role = guild.roles.cache.get(team.roleId) || await guild.roles.fetch(team.roleId).catch(()=>null);
+    if (role) await role.setColor(team.color || 0, reason).catch(err => console.warn("Failed to set role color:", err));
+  }
+  if (team.textChannelId) {
+    const tch = guild.channels.cache.get(team.textChannelId) || await guild.channels.fetch(team.textChannelId).catch(()=>null);
+    if (tch) await tch.edit({ name: teamChannelName(config, team.name, "chat", team.tag), topic: teamTopic(team), reason }).catch(err => console.warn("Failed to update text channel:", err));
+  }
+  if (team.voiceChannelId) {
+    const vch = guild.channels.cache.get(team.voiceChannelId) || await guild.channels.fetch(team.voiceChannelId).catch(()=>null);
+    const name = teamChannelName(config, team.name, "vc", team.tag);
+    if (vch && vch.name !== name) await vch.setName(name, reason).catch(err => console.warn("Failed to rename voice channel:", err));
+  }
+}
+
+// Validate /teamedit modal input. Returns { profile } or { errors }.
+function parseTeamProfile({ description, tag, color, recruiting }) {
+  const errors = [];
+  const profile = { description: description.trim() || null };
+
+  const cleanTag = tag.trim().replace(/^\[|\]$/g, "").trim();
+  if (cleanTag && !/^[A-Za-z0-9]{2,5}$/.test(cleanTag)) errors.push("Tag must be 2–5 letters or digits, e.g. ABC.");
+  profile.tag = cleanTag ? cleanTag.toUpperCase() : null;
+
+  const cleanColor = color.trim();
+  if (cleanColor && !/^#?[0-9a-f]{6}$/i.test(cleanColor)) errors.push("Color must be a hex color like #1abc9c.");
+  profile.color = cleanColor ? `#${cleanColor.replace("#", "").toLowerCase()}` : null;
+
+  const flag = recruiting.trim().toLowerCase();
+  if (flag && !["yes", "no", "y", "n", "true", "false"].includes(flag)) errors.push("Recruiting must be yes or no.");
+  profile.recruiting = ["yes", "y", "true"].includes(flag);
+
+  return errors.length ? { errors } : { profile };
+}
+
+// Why actorId can't remove targetId from team right now, or null if they can
+function memberRemovalProblem(team, actorId, targetId) {
+  if (!team.members.includes(targetId)) return `<@${targetId}> is not in your team.`;
+  if (targetId === team.leaderId) return "The team leader can't be removed.";
+  if (team.leaderId !== actorId && memberRank(team, targetId) !== "member") return "Officers can only remove regular members. Ask the team leader.";
+  return null;
+}
+
+// teams created before join policies existed are open to requests
+function acceptsJoinRequests(team) {
+  return (team.joinPolicy || "open") === "open";
+}
+
+// Check a proposed name against the name policy and the guild's other teams (see namePolicy.js).
+// Returns { name } (normalized, to be stored) or { error } with a message for the user.
+function checkGuildTeamName(scope, config, name, exceptTeamId = null, extraTaken = []) {
+  const takenNames = Object.values(scope.teams).filter(t => t.teamId !== exceptTeamId).map(t => t.name);
+  return checkTeamName(name, { blocklist: config.nameBlocklist, takenNames: [...takenNames, ...extraTaken] });
+}
+
+// ---------- Free agents (/lfg pool and /teamautofill) ----------
+// agent: { userId, joinedAt, role?, skill?, timezone?, utcOffset?, note? }
+
+// A placed agent's role tag stays on their team (team.memberRoles), so autofill
+// can prefer roles a team doesn't have yet. Caller saves.
+function rememberMemberRole(team, agent) {
+  if (!agent?.role) return;
+  team.memberRoles = { ...team.memberRoles, [agent.userId]: agent.role };
+}
+
+// The pool without players who have since joined a team some other way (their role tag moves to that team)
+function freeAgentPool(scope) {
+  return scope.freeAgents.filter(a => {
+    const team = findUserTeam(scope, a.userId);
+    if (team) rememberMemberRole(team, a);
+    return !team;
+  });
+}
+
+function describeFreeAgent(agent) {
+  const tags = [agent.role, agent.skill ? `skill ${agent.skill}` : null, agent.timezone ? formatUtcOffset(agent.utcOffset) : null].filter(Boolean);
+  return `<@${agent.userId}>${tags.length ? ` — ${tags.join(" · ")}` : ""}${agent.note ? ` — "${agent.note}"` : ""}`;
+}
+
+// "<leader>'s Team", numbered if that name is taken; plain "Team <n>" if the
+// leader's name can't be used in a team name at all. reserved: names already picked in this run
+function autofillTeamName(scope, config, leaderName, reserved) {
+  let base = `${leaderName.slice(0, NAME_MAX_LENGTH - 10)}'s Team`;
+  for (let n = 1; ; n++) {
+    const candidate = n === 1 && base !== "Team" ? base : `${base} ${n}`;
+    const { name, error, code } = checkGuildTeamName(scope, config, candidate, null, reserved);
+    if (!error) return name;
+    if (code === "collision") continue;
+    // only a blocklist that catches "Team <n>" itself gets here; a unique name beats looping forever
+    if (base === "Team") return name;
+    base = "Team";
+    n = 0;
+  }
+}
+
+// ---------- Reconciliation (stored teams vs. actual Discord state) ----------
+const RECONCILE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const MISSING_CODES = [RESTJSONErrorCodes.UnknownChannel, RESTJSONErrorCodes.UnknownRole, RESTJSONErrorCodes.UnknownMember];
+
+// Resolve a Discord fetch: the object, null if Discord says it doesn't exist,
+// or undefined if the fetch failed for another reason (state unknown — leave it alone)
+async function fetchExisting(fetchPromise) {
+  try {
+    return (await fetchPromise) ?? null;
+  } catch (err) {
+    if (MISSING_CODES.includes(err.code)) return null;
+    console.warn("Reconcile fetch failed:", err);
+    return undefined;
+  }
+}
+
+// Remove a member who is no longer in the guild. A departed leader is replaced by the
+// longest-standing remaining member; a team left with nobody is disbanded.
+// Returns "removed" | "promoted" | "disbanded". Caller saves.
+async function removeDepartedMember(guild, scope, team, memberId, reason) {
+  const wasOfficer = isOfficer(team, memberId);
+  removeFromRoster(team, memberId);
+  if (wasOfficer) await setRankOverwrites(guild, team, memberId, false, reason);
+  for (const invite of scope.invites.filter(inv => inv.teamId === team.teamId && inv.invitedId === memberId && inv.status === "pending")) {
+    invite.status = "cancelled";
+    await disableInviteButtons(client, invite, "Invitee left the server");
+  }
+
+  if (team.members.length === 0) {
+    await disbandTeam(guild, scope, team, reason);
+    return "disbanded";
+  }
+  if (team.leaderId === memberId) {
+    await transferLeadership(guild, team, team.members[0], reason);
+    return "promoted";
+  }
+  return "removed";
+}
+
+// Bring one team in line with Discord. Returns a list of human-readable changes. Caller saves.
+async function reconcileTeam(guild, scope, team, config) {
+  const changes = [];
+  const reason = `Team sync for ${team.name}`;
+
+  // members who left the guild
+  for (const memberId of [...team.members]) {
+    const member = await fetchExisting(guild.members.fetch(memberId));
+    if (member !== null) continue;
+    const wasLeader = team.leaderId === memberId;
+    const outcome = await removeDepartedMember(guild, scope, team, memberId, reason);
+    changes.push(`removed <@${memberId}> (left the server)`);
+    if (outcome === "disbanded") {
+      changes.push("disbanded (no members left)");
+      return changes;
+    }
+    if (wasLeader) changes.push(`promoted <@${team.leaderId}> to leader`);
+  }
+
+  // role
+  let role = team.roleId ? await fetchExisting(guild.roles.fetch(team.roleId)) : null;
+  let roleRecreated = false;
+  if (role === null) {
+    role = await createTeamRole(guild, team.name, team.color);
+    if (role) {
+      team.roleId = role.id;
+      roleRecreated = true;
+      changes.push("recreated role");
+    }
+  }
+
+  // channels
+  for (const [key, type, label] of [["textChannelId", "chat", "text channel"], ["voiceChannelId", "vc", "voice channel"]]) {
+    const channel = team[key] ? await fetchExisting(guild.channels.fetch(team[key])) : null;
+    if (channel === null) {
+      const created = await createTeamChannel(guild, config, team.name, type, team.roleId, team.leaderId, team.officers, { tag: team.tag, topic: teamTopic(team) });
+      if (created) {
+        team[key] = created.id;
+        changes.push(`recreated ${label}`);
+      }
+    } else if (channel && roleRecreated) {
+      // existing channel still points at the old role
+      await channel.permissionOverwrites.create(team.roleId, { ViewChannel: true, SendMessages: true, Connect: true, Speak: true }, { reason })
+        .catch(err => console.warn("Failed to add role overwrite:", err));
+    }
+  }
+
+  // members missing the role
+  if (role) {
+    for (const memberId of team.members) {
+      const member = await fetchExisting(guild.members.fetch(memberId));
+      if (member && !member.roles.cache.has(role.id)) {
+        await member.roles.add(role.id, reason).catch(err => console.warn("roles.add failed:", err));
+        changes.push(`gave role to <@${memberId}>`);
+      }
+    }
+  }
+
+  return changes;
+}
+
+// Reconcile every stored team of a guild. Returns [{ team, changes }] for teams that changed.
+async function reconcileGuild(guild, data) {
+  const scope = guildData(data, guild.id);
+  const config = getGuildConfig(scope);
+  const report = [];
+
+  for (const team of Object.values(scope.teams)) {
+    const changes = await reconcileTeam(guild, scope, team, config);
+    if (changes.length === 0) continue;
+    report.push({ team, changes });
+    await saveData(data);
+    await logTeamEvent(data, guild.id, {
+      type: scope.teams[team.teamId] ? "team.synced" : "team.deleted",
+      team,
+      after: changes.join(", ").slice(0, 1000),
+      reason: "Team sync"
+    });
+  }
+  return report;
+}
+
+async function reconcileAllGuilds() {
+  const data = await loadData();
+  for (const guildId of Object.keys(data.guilds)) {
+    const guild = await client.guilds.fetch(guildId).catch(()=>null);
+    if (!guild) continue;
+    try {
+      const report = await reconcileGuild(guild, data);
+      if (report.length) console.log(`Team sync for ${guild.name}: ${report.length} team(s) changed`);
+    } catch (err) {
+      console.error(`Team sync failed for guild ${guildId}:`, err);
+    }
+  }
+}
+
 // ---------- Interaction handling ----------
 client.on("interactionCreate", async (interaction) => {
   try {
@@ -408,61 +2121,66 @@ client.on("interactionCreate", async (interaction) => {
       const userId = interaction.user.id;
       const guild = interaction.guild;
 
-      // require guild for channel operations
+      // teams are scoped per guild, so every command needs one
       if (!guild) {
-        // some commands can be used in DMs — keep behavior minimal
-        if (["teamcreate", "teamadd", "teamremove"].includes(interaction.commandName)) {
-          return interaction.reply({ content: "This command must be used inside a server (guild).", ephemeral: true });
-        }
+        return interaction.reply({ content: "This command must be used inside a server (guild).", ephemeral: true });
       }
+      const scope = guildData(data, guild.id);
+      const config = getGuildConfig(scope);
+
+      // any command from a member counts as activity for their team; not awaited, since closing a
+      // pending idle warning edits a message and the command still has to reply within 3 seconds
+      const activeTeam = findUserTeam(scope, userId);
+      if (activeTeam) markTeamActive(data, activeTeam).catch(err => console.warn("Failed to record team activity:", err));
 
       // ------------------ teamcreate ------------------
       if (interaction.commandName === "teamcreate") {
-        const name = interaction.options.getString("name") || `${interaction.user.username}'s Team`;
         // check if user already in a team
-        if (findUserTeam(data, userId)) {
+        if (findUserTeam(scope, userId)) {
           return interaction.reply({ content: "You are already in a team. Leave your current team before creating a new one.", ephemeral: true });
         }
 
-        // check duplicate team name (case-insensitive)
-        const nameTaken = Object.values(data.teams).some(t => t.name.toLowerCase() === name.toLowerCase());
-        if (nameTaken) {
-          return interaction.reply({ content: `A team named "${name}" already exists. Please choose a different name.`, ephemeral: true });
+        // name policy: length, mentions, blocked/reserved words, clashes with other teams' channel names
+        const requestedName = interaction.options.getString("name");
+        // long usernames are cut so the default name stays within the length limit
+        const { name, error: nameError } = checkGuildTeamName(scope, config, requestedName || `${interaction.user.username.slice(0, NAME_MAX_LENGTH - 10)}'s Team`);
+        if (nameError) {
+          return interaction.reply({ content: requestedName ? nameError : `${nameError}\nPass a name with /teamcreate name:<name>.`, ephemeral: true });
         }
 
-        // create team data
-        const teamId = userId;
+        // create team data (id is stable even if leadership changes later)
+        const teamId = `team-${Date.now()}-${userId}`;
         const team = {
           teamId,
           name,
           leaderId: userId,
           members: [userId],
           createdAt: nowISO(),
-          guildId: guild?.id || null,
+          lastActiveAt: nowISO(),
+          guildId: guild.id,
           textChannelId: null,
           voiceChannelId: null,
           roleId: null
         };
 
-        // create resources if inside guild
-        if (guild) {
-          try {
-            const resources = await createTeamResources(guild, name, userId);
-            team.textChannelId = resources.textChannelId;
-            team.voiceChannelId = resources.voiceChannelId;
-            team.roleId = resources.roleId;
-            // add leader role immediately so leader has access
-            if (team.roleId) {
-              const leaderMember = await guild.members.fetch(userId).catch(()=>null);
-              if (leaderMember) await leaderMember.roles.add(team.roleId, "Team leader assigned role").catch(()=>null);
-            }
-          } catch (err) {
-            console.warn("Failed to create team resources:", err);
+        // create resources
+        try {
+          const resources = await createTeamResources(guild, name, userId, config);
+          team.textChannelId = resources.textChannelId;
+          team.voiceChannelId = resources.voiceChannelId;
+          team.roleId = resources.roleId;
+          // add leader role immediately so leader has access
+          if (team.roleId) {
+            const leaderMember = await guild.members.fetch(userId).catch(()=>null);
+            if (leaderMember) await leaderMember.roles.add(team.roleId, "Team leader assigned role").catch(()=>null);
           }
+        } catch (err) {
+          console.warn("Failed to create team resources:", err);
         }
 
-        data.teams[teamId] = team;
+        scope.teams[teamId] = team;
         await saveData(data);
+        await logTeamEvent(data, guild.id, { type: "team.created", team, actorId: userId });
 
         // prepare embed
         const embed = new EmbedBuilder()
@@ -470,7 +2188,7 @@ client.on("interactionCreate", async (interaction) => {
           .setDescription(`**${team.name}** — you are the leader.`)
           .addFields(
             { name: "Leader", value: `<@${team.leaderId}>`, inline: true },
-            { name: "Members", value: `${team.members.length}/4`, inline: true }
+            { name: "Members", value: `${team.members.length}/${config.maxTeamSize}`, inline: true }
           )
           .setTimestamp();
 
@@ -486,23 +2204,24 @@ client.on("interactionCreate", async (interaction) => {
         const targetUser = interaction.options.getUser("user", true);
         const targetId = targetUser.id;
 
-        const leaderTeam = data.teams[userId];
-        if (!leaderTeam) return interaction.reply({ content: "You are not a team leader. Create a team first with /teamcreate.", ephemeral: true });
-        if (leaderTeam.leaderId !== userId) return interaction.reply({ content: "Only the team leader may invite members.", ephemeral: true });
+        const leaderTeam = findManagedTeam(scope, userId);
+        if (!leaderTeam) return interaction.reply({ content: "Only team leaders and officers can invite members. Create a team first with /teamcreate.", ephemeral: true });
+        const lock = rosterLock(scope, leaderTeam.teamId);
+        if (lock) return interaction.reply({ content: rosterLockedMessage(leaderTeam, lock), ephemeral: true });
         if (targetId === userId) return interaction.reply({ content: "You cannot invite yourself.", ephemeral: true });
 
         // check target not already in team
-        if (findUserTeam(data, targetId)) {
+        if (findUserTeam(scope, targetId)) {
           return interaction.reply({ content: `<@${targetId}> is already in a team.`, ephemeral: true });
         }
 
         // check leaderTeam capacity
-        if (leaderTeam.members.length >= 4) {
-          return interaction.reply({ content: `Your team is full (4/4). Remove someone or delete the team first.`, ephemeral: true });
+        if (leaderTeam.members.length >= config.maxTeamSize) {
+          return interaction.reply({ content: `Your team is full (${leaderTeam.members.length}/${config.maxTeamSize}). Remove someone or delete the team first.`, ephemeral: true });
         }
 
         // check recent decline cooldown
-        const recentDecline = data.invites.find(inv => inv.teamId === leaderTeam.teamId && inv.invitedId === targetId && inv.status === "declined" && inv.declinedUntil && new Date(inv.declinedUntil) > new Date());
+        const recentDecline = scope.invites.find(inv => inv.kind !== "request" && inv.teamId === leaderTeam.teamId && inv.invitedId === targetId && inv.status === "declined" && inv.declinedUntil && new Date(inv.declinedUntil) > new Date());
         if (recentDecline) {
           const ms = msUntil(recentDecline.declinedUntil);
           return interaction.reply({ content: `<@${targetId}> recently declined an invite. You cannot invite them again for ${humanDurationMs(ms)} (until ${new Date(recentDecline.declinedUntil).toLocaleString()}).`, ephemeral: true });
@@ -514,20 +2233,23 @@ client.on("interactionCreate", async (interaction) => {
           id: inviteId,
           teamId: leaderTeam.teamId,
           leaderId: leaderTeam.leaderId,
+          invitedBy: userId,
           invitedId: targetId,
           status: "pending",
           createdAt: nowISO(),
+          expiresAt: plusHoursISO(config.inviteExpiryHours),
           declinedUntil: null
         };
-        data.invites.push(invite);
+        scope.invites.push(invite);
         await saveData(data);
 
         const inviteEmbed = new EmbedBuilder()
           .setTitle("Team invite")
-          .setDescription(`<@${targetId}>, you were invited to join **${leaderTeam.name}** by <@${leaderTeam.leaderId}>.`)
+          .setDescription(`<@${targetId}>, you were invited to join **${leaderTeam.name}** by <@${userId}>.`)
           .addFields(
             { name: "Team", value: leaderTeam.name, inline: true },
-            { name: "Current members", value: `${leaderTeam.members.length}/4`, inline: true }
+            { name: "Current members", value: `${leaderTeam.members.length}/${config.maxTeamSize}`, inline: true },
+            { name: "Expires", value: `<t:${Math.floor(new Date(invite.expiresAt).getTime() / 1000)}:R>`, inline: true }
           )
           .setTimestamp();
 
@@ -542,21 +2264,10 @@ client.on("interactionCreate", async (interaction) => {
         invite.messageChannelId = interaction.channelId;
         invite.messageId = message.id;
         await saveData(data);
+        await logTeamEvent(data, guild.id, { type: "invite.sent", team: leaderTeam, actorId: userId, targetId });
 
-        // Schedule in-memory removal of buttons after exactly 24 hours (best-effort; cleanup task remains as fallback)
-        setTimeout(async () => {
-          try {
-            const fresh = await loadData();
-            const inv = fresh.invites.find(i => i.id === inviteId);
-            if (inv && inv.status === "pending") {
-              inv.status = "expired";
-              await saveData(fresh);
-              await removeInviteButtons(client, inv);
-            }
-          } catch (err) {
-            console.warn("Scheduled expiry failed:", err);
-          }
-        }, 24 * 60 * 60 * 1000); // 24 hours
+        // Expire the invite (and remove its buttons) at expiresAt; stored, so it survives restarts
+        await scheduleInviteExpiry(invite);
 
         return;
       }
@@ -566,115 +2277,122 @@ client.on("interactionCreate", async (interaction) => {
         const arg = interaction.options.getString("team");
         let team = null;
         if (!arg) {
-          team = findUserTeam(data, userId);
+          team = findUserTeam(scope, userId);
           if (!team) return interaction.reply({ content: "You are not in a team and didn't specify a team. Use /teamcreate to make one or /teaminfo <leaderID|teamName> to view another.", ephemeral: true });
         } else {
-          // try leader id
-          if (data.teams[arg]) team = data.teams[arg];
-          else team = Object.values(data.teams).find(t => t.name.toLowerCase() === arg.toLowerCase());
+          team = resolveTeam(scope, arg);
           if (!team) return interaction.reply({ content: `No team found for "${arg}".`, ephemeral: true });
         }
 
         const embed = new EmbedBuilder()
-          .setTitle(`Team: ${team.name}`)
+          .setTitle(`Team: ${team.tag ? `[${team.tag}] ` : ""}${team.name}`)
           .addFields(
             { name: "Leader", value: `<@${team.leaderId}>`, inline: true },
-            { name: "Members", value: `${team.members.length}/4`, inline: true },
-            { name: "Member list", value: team.members.map((m, i) => `${i===0 ? "(leader) " : ""}<@${m}>`).join("\n") || "No members" }
+            { name: "Members", value: `${team.members.length}/${config.maxTeamSize}`, inline: true },
+            { name: "Join requests", value: acceptsJoinRequests(team) ? "Open" : "Invite only", inline: true },
+            { name: "Recruiting", value: team.recruiting ? "Yes" : "No", inline: true },
+            { name: "Member list", value: team.members.map(m => `${memberRank(team, m) === "member" ? "" : `(${memberRank(team, m)}) `}<@${m}>`).join("\n") || "No members" }
           )
           .setTimestamp();
 
+        if (team.description) embed.setDescription(team.description);
+        if (team.color) embed.setColor(team.color);
+        const lock = rosterLock(scope, team.teamId);
+        if (lock) embed.addFields({ name: "Roster", value: `Locked for **${lock.name}**` });
+        embed.addFields(
+          { name: "Rating", value: String(teamRating(team)), inline: true },
+          { name: "Record", value: teamRecord(team), inline: true }
+        );
+        const recent = scope.matches
+          .filter(m => m.status === "confirmed" && (m.teamAId === team.teamId || m.teamBId === team.teamId))
+          .slice(-5)
+          .reverse();
+        if (recent.length) embed.addFields({ name: "Recent matches", value: recent.map(m => formatMatch(m, team.teamId)).join("\n") });
         if (team.textChannelId) embed.addFields({ name: "Text channel", value: `<#${team.textChannelId}>` });
         if (team.voiceChannelId) embed.addFields({ name: "Voice channel", value: `<#${team.voiceChannelId}>` });
 
         return interaction.reply({ embeds: [embed] });
       }
 
+      // ------------------ teamlist ------------------
+      if (interaction.commandName === "teamlist") {
+        const view = buildTeamListPage(scope, config, {
+          openOnly: interaction.options.getBoolean("open_slots") || false,
+          nameFilter: (interaction.options.getString("name") || "").trim()
+        });
+        return interaction.reply({ ...view, ephemeral: true });
+      }
+
       // ------------------ teamremove ------------------
       if (interaction.commandName === "teamremove") {
         const targetUser = interaction.options.getUser("user");
-        const leaderTeam = data.teams[userId];
-        if (!leaderTeam) return interaction.reply({ content: "You are not a team leader.", ephemeral: true });
-        if (leaderTeam.leaderId !== userId) return interaction.reply({ content: "Only the team leader may remove members or delete the team.", ephemeral: true });
+        const leaderTeam = findManagedTeam(scope, userId);
+        if (!leaderTeam) return interaction.reply({ content: "Only team leaders and officers can remove members.", ephemeral: true });
+        const isLeader = leaderTeam.leaderId === userId;
+        const lock = rosterLock(scope, leaderTeam.teamId);
+        if (lock) return interaction.reply({ content: rosterLockedMessage(leaderTeam, lock), ephemeral: true });
 
-        // If no user: attempt to delete team but only if members.length === 1
+        // no user: disband the whole team, after a confirmation
         if (!targetUser) {
-          if (leaderTeam.members.length > 1) {
-            return interaction.reply({ content: `Your team has ${leaderTeam.members.length} members. To delete the team it must have only 1 member (the leader). Remove other members first.`, ephemeral: true });
-          }
-
-          // proceed with deletion: remove invites, delete channels, delete team
-          // remove invites related to this team
-          const teamInvites = data.invites.filter(inv => inv.teamId === leaderTeam.teamId);
-          for (const invite of teamInvites) {
-            if (invite.status === "pending") {
-              invite.status = "cancelled";
-              await disableInviteButtons(client, invite, "Team was deleted");
-            }
-          }
-          data.invites = data.invites.filter(inv => inv.teamId !== leaderTeam.teamId);
-          await saveData(data);
-
-          // delete channels if possible
-          if (interaction.guild) {
-            await deleteTeamChannelsAndRole(interaction.guild, leaderTeam);
-          }
-
-          delete data.teams[leaderTeam.teamId];
-          await saveData(data);
+          if (!isLeader) return interaction.reply({ content: "Only the team leader may disband the team.", ephemeral: true });
 
+          const others = leaderTeam.members.length - 1;
           const embed = new EmbedBuilder()
-            .setTitle("Team deleted")
-            .setDescription(`Your team **${leaderTeam.name}** was deleted.`)
+            .setTitle(`Disband ${leaderTeam.name}?`)
+            .setDescription(others > 0
+              ? `This removes all ${others} other member(s), cancels pending invites and ${config.disbandMode === "archive" ? "archives" : "deletes"} the team channels and role. Everyone on the team will get a DM.`
+              : `This cancels pending invites and ${config.disbandMode === "archive" ? "archives" : "deletes"} the team channels and role.`)
+            .setColor(0xff0000)
+            .setFooter({ text: `Buttons expire in ${humanDurationMs(CONFIRM_WINDOW_MS)}.` })
             .setTimestamp();
-
-          return interaction.reply({ embeds: [embed] });
+          const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder().setCustomId(`team_disband::${leaderTeam.teamId}`).setLabel("Disband team").setStyle(ButtonStyle.Danger),
+            new ButtonBuilder().setCustomId(`confirm_cancel::${leaderTeam.teamId}`).setLabel("Cancel").setStyle(ButtonStyle.Secondary)
+          );
+          return interaction.reply({ embeds: [embed], components: [row], ephemeral: true });
         }
 
-        // removing a specific member
+        // removing a specific member, after a confirmation
         const targetId = targetUser.id;
         if (targetId === userId) {
-          return interaction.reply({ content: "To delete the team, use /teamremove with no user (only possible if your team has 1 member). You cannot remove yourself with this command.", ephemeral: true });
+          return interaction.reply({ content: "You cannot remove yourself. Use /teamleave to leave the team (leaders disband it with /teamremove and no user).", ephemeral: true });
         }
-        if (!leaderTeam.members.includes(targetId)) {
-          return interaction.reply({ content: `<@${targetId}> is not in your team.`, ephemeral: true });
-        }
-
-        // remove member from team array and revoke channel perms
-        leaderTeam.members = leaderTeam.members.filter(m => m !== targetId);
-        await saveData(data);
-
-        if (interaction.guild) await revokeMemberChannelAccess(interaction.guild, leaderTeam, targetId);
+        const problem = memberRemovalProblem(leaderTeam, userId, targetId);
+        if (problem) return interaction.reply({ content: problem, ephemeral: true });
 
         const embed = new EmbedBuilder()
-          .setTitle("Member removed")
-          .setDescription(`<@${targetId}> has been removed from **${leaderTeam.name}**.`)
+          .setTitle("Remove member?")
+          .setDescription(`Remove <@${targetId}> from **${leaderTeam.name}**? They lose access to the team channels.`)
+          .setColor(0xffa500)
+          .setFooter({ text: `Buttons expire in ${humanDurationMs(CONFIRM_WINDOW_MS)}.` })
           .setTimestamp();
-
-        return interaction.reply({ embeds: [embed] });
+        const row = new ActionRowBuilder().addComponents(
+          new ButtonBuilder().setCustomId(`member_remove::${leaderTeam.teamId}::${targetId}`).setLabel("Remove").setStyle(ButtonStyle.Danger),
+          new ButtonBuilder().setCustomId(`confirm_cancel::${leaderTeam.teamId}`).setLabel("Cancel").setStyle(ButtonStyle.Secondary)
+        );
+        return interaction.reply({ embeds: [embed], components: [row], ephemeral: true });
       }
 
       // ------------------ teamleave ------------------
       if (interaction.commandName === "teamleave") {
-        const data = await loadData();
-        const userId = interaction.user.id;
-        const guild = interaction.guild;
-
-        const team = findUserTeam(data, userId);
+        const team = findUserTeam(scope, userId);
         if (!team) {
           return interaction.reply({ content: "You are not in a team.", ephemeral: true });
         }
+        const lock = rosterLock(scope, team.teamId);
+        if (lock) return interaction.reply({ content: rosterLockedMessage(team, lock), ephemeral: true });
 
         if (team.leaderId === userId) {
           return interaction.reply({
-            content: "You are the team leader and cannot leave the team. To delete the team use /teamremove with no user (only possible if your team has 1 member). To keep the team but change leadership, transfer leadership (not implemented).",
+            content: "You are the team leader and cannot leave the team. To disband the team use /teamremove with no user. To keep the team but change leadership, use /teamtransfer <user> first.",
             ephemeral: true
           });
         }
 
         // remove member from team
-        team.members = team.members.filter(m => m !== userId);
+        removeFromRoster(team, userId);
         await saveData(data);
+        await logTeamEvent(data, guild.id, { type: "member.left", team, targetId: userId });
 
         // revoke channel access if in a guild
         if (guild) {
@@ -690,110 +2408,1179 @@ client.on("interactionCreate", async (interaction) => {
         const embed = new EmbedBuilder()
           .setTitle("Left team")
           .setDescription(`You left **${team.name}**.`)
-          .addFields({ name: "Members", value: `${team.members.length}/4` })
+          .addFields({ name: "Members", value: `${team.members.length}/${config.maxTeamSize}` })
           .setTimestamp();
 
         return interaction.reply({ embeds: [embed], ephemeral: true });
       }
 
-      // ------------------ teamnamechange ------------------
-      if (interaction.commandName === "teamnamechange") {
-        const newName = interaction.options.getString("name", true).trim();
-        if (!newName) return interaction.reply({ content: "Please provide a new team name.", ephemeral: true });
+      // ------------------ teamtransfer ------------------
+      if (interaction.commandName === "teamtransfer") {
+        const targetUser = interaction.options.getUser("user", true);
+        const targetId = targetUser.id;
 
-        const leaderTeam = data.teams[userId];
+        const leaderTeam = findLeaderTeam(scope, userId);
         if (!leaderTeam) return interaction.reply({ content: "You are not a team leader.", ephemeral: true });
-        if (leaderTeam.leaderId !== userId) return interaction.reply({ content: "Only the team leader may change the team name.", ephemeral: true });
-
-        // check duplicate name (case-insensitive) among other teams
-        const taken = Object.values(data.teams).some(t => t.teamId !== leaderTeam.teamId && t.name.toLowerCase() === newName.toLowerCase());
-        if (taken) {
-          return interaction.reply({ content: `A team named "${newName}" already exists. Please pick a different name.`, ephemeral: true });
-        }
-
-        const oldName = leaderTeam.name;
-        leaderTeam.name = newName;
-
-        // Attempt to rename role and channels if in a guild
-        if (interaction.guild) {
-          const guildObj = interaction.guild;
-          const base = sanitizeChannelName(newName);
-
-          // rename role
-          if (leaderTeam.roleId) {
-            try {
-              const role = guildObj.roles.cache.get(leaderTeam.roleId) || await guildObj.roles.fetch(leaderTeam.roleId).catch(()=>null);
-              if (role) {
-                await role.setName(`team-${base}`).catch(err => { console.warn("Failed to rename role:", err); });
-              }
-            } catch (err) {
-              console.warn("Role rename error:", err);
-            }
-          }
-
-          // rename text channel
-          if (leaderTeam.textChannelId) {
-            try {
-              const tch = guildObj.channels.cache.get(leaderTeam.textChannelId) || await guildObj.channels.fetch(leaderTeam.textChannelId).catch(()=>null);
-              if (tch) await tch.setName(`${base}-chat`).catch(err => { console.warn("Failed to rename text channel:", err); });
-            } catch (err) {
-              console.warn("Text channel rename error:", err);
-            }
-          }
+        if (targetId === userId) return interaction.reply({ content: "You are already the leader of this team.", ephemeral: true });
+        if (!leaderTeam.members.includes(targetId)) {
+          return interaction.reply({ content: `<@${targetId}> is not in your team. Only current members can become leader.`, ephemeral: true });
+        }
 
-          // rename voice channel
-          if (leaderTeam.voiceChannelId) {
-            try {
-              const vch = guildObj.channels.cache.get(leaderTeam.voiceChannelId) || await guildObj.channels.fetch(leaderTeam.voiceChannelId).catch(()=>null);
-              if (vch) await vch.setName(`${base}-vc`).catch(err => { console.warn("Failed to rename voice channel:", err); });
-            } catch (err) {
-              console.warn("Voice channel rename error:", err);
-            }
-          }
+        // only one pending transfer per team: a new request replaces the old one
+        for (const old of scope.transfers.filter(t => t.teamId === leaderTeam.teamId && t.status === "pending")) {
+          old.status = "cancelled";
+          await disableTransferButtons(client, old, "Replaced by a newer transfer request");
         }
 
+        const transferId = `transfer-${Date.now()}-${leaderTeam.teamId}-${targetId}`;
+        const transfer = {
+          id: transferId,
+          teamId: leaderTeam.teamId,
+          fromId: userId,
+          toId: targetId,
+          status: "pending",
+          createdAt: nowISO(),
+          expiresAt: plusHoursISO(config.inviteExpiryHours)
+        };
+        scope.transfers.push(transfer);
         await saveData(data);
 
-        const embed = new EmbedBuilder()
-          .setTitle("Team renamed")
-          .setDescription(`**${oldName}** → **${leaderTeam.name}**`)
+        const transferEmbed = new EmbedBuilder()
+          .setTitle("Leadership transfer")
+          .setDescription(`<@${targetId}>, <@${userId}> wants to make you the leader of **${leaderTeam.name}**.`)
+          .addFields(
+            { name: "Team", value: leaderTeam.name, inline: true },
+            { name: "Current leader", value: `<@${userId}>`, inline: true },
+            { name: "Expires", value: `<t:${Math.floor(new Date(transfer.expiresAt).getTime() / 1000)}:R>`, inline: true }
+          )
           .setTimestamp();
 
-        return interaction.reply({ embeds: [embed] });
-      }
+        const acceptBtn = new ButtonBuilder().setCustomId(`transfer_accept::${transferId}`).setLabel("Accept").setStyle(ButtonStyle.Success);
+        const declineBtn = new ButtonBuilder().setCustomId(`transfer_decline::${transferId}`).setLabel("Decline").setStyle(ButtonStyle.Danger);
+        const row = new ActionRowBuilder().addComponents(acceptBtn, declineBtn);
 
-      // ------------------ accept / decline (slash) ------------------
-      if (interaction.commandName === "accept" || interaction.commandName === "decline") {
-        const isAccept = interaction.commandName === "accept";
+        const message = await interaction.reply({ content: `<@${targetId}>`, embeds: [transferEmbed], components: [row], fetchReply: true });
+
+        transfer.messageChannelId = interaction.channelId;
+        transfer.messageId = message.id;
+        await saveData(data);
+
+        // Expire the transfer (and disable its buttons) like an invite; stored, so it survives restarts
+        await scheduleTransferExpiry(transfer);
+        return;
+      }
+
+      // ------------------ teampromote / teamdemote ------------------
+      if (interaction.commandName === "teampromote" || interaction.commandName === "teamdemote") {
+        const promote = interaction.commandName === "teampromote";
+        const targetId = interaction.options.getUser("user", true).id;
+        const leaderTeam = findLeaderTeam(scope, userId);
+        if (!leaderTeam) return interaction.reply({ content: "Only the team leader can promote or demote officers.", ephemeral: true });
+        if (targetId === userId) return interaction.reply({ content: "You already lead this team.", ephemeral: true });
+        if (!leaderTeam.members.includes(targetId)) {
+          return interaction.reply({ content: `<@${targetId}> is not in your team.`, ephemeral: true });
+        }
+        if (promote === isOfficer(leaderTeam, targetId)) {
+          return interaction.reply({ content: `<@${targetId}> ${promote ? "is already" : "is not"} an officer.`, ephemeral: true });
+        }
+
+        const officers = leaderTeam.officers || [];
+        leaderTeam.officers = promote ? [...officers, targetId] : officers.filter(m => m !== targetId);
+        await saveData(data);
+        const reason = `${promote ? "Promoted to" : "Demoted from"} officer of ${leaderTeam.name}`;
+        await setRankOverwrites(guild, leaderTeam, targetId, promote, reason);
+        await logTeamEvent(data, guild.id, { type: promote ? "member.promoted" : "member.demoted", team: leaderTeam, actorId: userId, targetId });
+
+        const targetUser = await client.users.fetch(targetId).catch(()=>null);
+        if (targetUser) {
+          targetUser.send(promote
+            ? `You are now an officer of **${leaderTeam.name}**: you can invite players (/teamadd), revoke invites and remove regular members.`
+            : `You are no longer an officer of **${leaderTeam.name}**.`).catch(()=>null);
+        }
+
+        const embed = new EmbedBuilder()
+          .setTitle(promote ? "Officer promoted" : "Officer demoted")
+          .setDescription(promote
+            ? `<@${targetId}> is now an officer of **${leaderTeam.name}**.`
+            : `<@${targetId}> is no longer an officer of **${leaderTeam.name}**.`)
+          .setTimestamp();
+
+        return interaction.reply({ embeds: [embed] });
+      }
+
+      // ------------------ teamrevoke ------------------
+      if (interaction.commandName === "teamrevoke") {
+        const targetId = interaction.options.getUser("user", true).id;
+        const leaderTeam = findManagedTeam(scope, userId);
+        if (!leaderTeam) return interaction.reply({ content: "Only team leaders and officers can revoke invites.", ephemeral: true });
+
+        const invite = scope.invites.find(inv => inv.teamId === leaderTeam.teamId && inv.kind !== "request" && inv.invitedId === targetId && inv.status === "pending");
+        if (!invite) return interaction.reply({ content: `Your team has no pending invite to <@${targetId}>.`, ephemeral: true });
+
+        await revokeInvite(invite, "Invite revoked by the team", `Your invite to **${leaderTeam.name}** was withdrawn by the team.`);
+        await saveData(data);
+        await logTeamEvent(data, guild.id, { type: "invite.cancelled", team: leaderTeam, actorId: userId, targetId });
+
+        return interaction.reply({ content: `Revoked the invite to <@${targetId}>.`, ephemeral: true });
+      }
+
+      // ------------------ teamjoin ------------------
+      if (interaction.commandName === "teamjoin") {
+        const arg = interaction.options.getString("team", true);
+        const note = interaction.options.getString("message")?.trim();
+
+        const team = resolveTeam(scope, arg);
+        if (!team) return interaction.reply({ content: `No team found for "${arg}".`, ephemeral: true });
+        if (findUserTeam(scope, userId)) {
+          return interaction.reply({ content: "You are already in a team. Leave your current team before requesting to join another.", ephemeral: true });
+        }
+        const lock = rosterLock(scope, team.teamId);
+        if (lock) return interaction.reply({ content: rosterLockedMessage(team, lock), ephemeral: true });
+        if (!acceptsJoinRequests(team)) {
+          return interaction.reply({ content: `**${team.name}** is invite only. Ask <@${team.leaderId}> for an invite instead.`, ephemeral: true });
+        }
+        if (team.members.length >= config.maxTeamSize) {
+          return interaction.reply({ content: `**${team.name}** is full (${team.members.length}/${config.maxTeamSize}).`, ephemeral: true });
+        }
+
+        const teamRecords = scope.invites.filter(inv => inv.teamId === team.teamId && inv.invitedId === userId);
+        if (teamRecords.some(inv => inv.status === "pending" && inv.kind !== "request")) {
+          return interaction.reply({ content: `**${team.name}** already invited you. Use /accept to join.`, ephemeral: true });
+        }
+        if (teamRecords.some(inv => inv.status === "pending" && inv.kind === "request")) {
+          return interaction.reply({ content: `You already have a pending request to join **${team.name}**.`, ephemeral: true });
+        }
+        // same cooldown as declined invites, applied to denied requests
+        const recentDenial = teamRecords.find(inv => inv.kind === "request" && inv.status === "declined" && inv.declinedUntil && new Date(inv.declinedUntil) > new Date());
+        if (recentDenial) {
+          const ms = msUntil(recentDenial.declinedUntil);
+          return interaction.reply({ content: `Your last request to **${team.name}** was denied. You can request again in ${humanDurationMs(ms)} (after ${new Date(recentDenial.declinedUntil).toLocaleString()}).`, ephemeral: true });
+        }
+
+        // join requests are invite records with kind "request"; invitedId is the requester
+        const requestId = `request-${Date.now()}-${team.teamId}-${userId}`;
+        const request = {
+          id: requestId,
+          kind: "request",
+          teamId: team.teamId,
+          leaderId: team.leaderId,
+          invitedId: userId,
+          status: "pending",
+          createdAt: nowISO(),
+          expiresAt: plusHoursISO(config.inviteExpiryHours),
+          declinedUntil: null
+        };
+        scope.invites.push(request);
+        await saveData(data);
+
+        const requestEmbed = new EmbedBuilder()
+          .setTitle("Join request")
+          .setDescription(`<@${userId}> would like to join **${team.name}**.`)
+          .addFields(
+            { name: "Current members", value: `${team.members.length}/${config.maxTeamSize}`, inline: true },
+            { name: "Expires", value: `<t:${Math.floor(new Date(request.expiresAt).getTime() / 1000)}:R>`, inline: true }
+          )
+          .setTimestamp();
+        if (note) requestEmbed.addFields({ name: "Message", value: note });
+
+        const approveBtn = new ButtonBuilder().setCustomId(`invite_accept::${requestId}`).setLabel("Approve").setStyle(ButtonStyle.Success);
+        const denyBtn = new ButtonBuilder().setCustomId(`invite_decline::${requestId}`).setLabel("Deny").setStyle(ButtonStyle.Danger);
+        const row = new ActionRowBuilder().addComponents(approveBtn, denyBtn);
+        const payload = { content: `<@${team.leaderId}>`, embeds: [requestEmbed], components: [row] };
+
+        // deliver to the team's text channel, falling back to a DM to the leader
+        let message = null;
+        const teamChannel = team.textChannelId ? await guild.channels.fetch(team.textChannelId).catch(()=>null) : null;
+        if (teamChannel?.isTextBased()) message = await teamChannel.send(payload).catch(()=>null);
+        if (!message) {
+          const leaderUser = await client.users.fetch(team.leaderId).catch(()=>null);
+          if (leaderUser) message = await leaderUser.send({ ...payload, content: `Join request for **${team.name}** in ${guild.name}` }).catch(()=>null);
+        }
+        if (!message) {
+          scope.invites = scope.invites.filter(inv => inv.id !== requestId);
+          await saveData(data);
+          return interaction.reply({ content: `Couldn't reach the leader of **${team.name}** (no team channel and their DMs are closed). Try again later.`, ephemeral: true });
+        }
+
+        request.messageChannelId = message.channelId;
+        request.messageId = message.id;
+        await saveData(data);
+        await scheduleInviteExpiry(request);
+        await logTeamEvent(data, guild.id, { type: "request.sent", team, targetId: userId });
+
+        return interaction.reply({ content: `Your request to join **${team.name}** was sent to <@${team.leaderId}>. It expires <t:${Math.floor(new Date(request.expiresAt).getTime() / 1000)}:R>.`, ephemeral: true });
+      }
+
+      // ------------------ teamjoinpolicy ------------------
+      if (interaction.commandName === "teamjoinpolicy") {
+        const policy = interaction.options.getString("policy", true);
+        const leaderTeam = findLeaderTeam(scope, userId);
+        if (!leaderTeam) return interaction.reply({ content: "You are not a team leader.", ephemeral: true });
+
+        const before = leaderTeam.joinPolicy || "open";
+        leaderTeam.joinPolicy = policy;
+        await saveData(data);
+        if (before !== policy) {
+          await logTeamEvent(data, guild.id, { type: "team.policy", team: leaderTeam, actorId: userId, before, after: policy });
+        }
+
+        return interaction.reply({
+          content: policy === "open"
+            ? `**${leaderTeam.name}** is now open to join requests (/teamjoin).`
+            : `**${leaderTeam.name}** is now invite only. Pending join requests stay open until answered or expired.`,
+          ephemeral: true
+        });
+      }
+
+      // ------------------ teamnamechange ------------------
+      if (interaction.commandName === "teamnamechange") {
+        const leaderTeam = findLeaderTeam(scope, userId);
+        if (!leaderTeam) return interaction.reply({ content: "You are not a team leader.", ephemeral: true });
+        if (leaderTeam.leaderId !== userId) return interaction.reply({ content: "Only the team leader may change the team name.", ephemeral: true });
+
+        // name policy, checked against the other teams
+        const { name: newName, error: nameError } = checkGuildTeamName(scope, config, interaction.options.getString("name", true), leaderTeam.teamId);
+        if (nameError) return interaction.reply({ content: nameError, ephemeral: true });
+        if (newName === leaderTeam.name) return interaction.reply({ content: `Your team is already called **${newName}**.`, ephemeral: true });
+
+        const oldName = await renameTeam(guild, config, leaderTeam, newName);
+        await saveData(data);
+        await logTeamEvent(data, guild.id, { type: "team.renamed", team: leaderTeam, actorId: userId, before: oldName, after: leaderTeam.name });
+
+        const embed = new EmbedBuilder()
+          .setTitle("Team renamed")
+          .setDescription(`**${oldName}** → **${leaderTeam.name}**`)
+          .setTimestamp();
+
+        return interaction.reply({ embeds: [embed] });
+      }
+
+      // ------------------ matchreport ------------------
+      if (interaction.commandName === "matchreport") {
+        const myTeam = findManagedTeam(scope, userId);
+        if (!myTeam) return interaction.reply({ content: "Only team leaders and officers can report matches.", ephemeral: true });
+        const arg = interaction.options.getString("opponent", true);
+        const opponent = resolveTeam(scope, arg);
+        if (!opponent) return interaction.reply({ content: `No team found for "${arg}".`, ephemeral: true });
+        if (opponent.teamId === myTeam.teamId) return interaction.reply({ content: "You can't report a match against your own team.", ephemeral: true });
+
+        const pairPending = scope.matches.find(m => m.status === "pending" &&
+          ((m.teamAId === myTeam.teamId && m.teamBId === opponent.teamId) || (m.teamAId === opponent.teamId && m.teamBId === myTeam.teamId)));
+        if (pairPending) {
+          return interaction.reply({ content: `A match between **${myTeam.name}** and **${opponent.name}** is already waiting for confirmation (expires ${toTimestamp(pairPending.expiresAt)}).`, ephemeral: true });
+        }
+
+        const result = interaction.options.getString("result", true);
+        const score = (interaction.options.getString("score") || "").trim() || null;
+        const matchId = `match-${Date.now()}-${myTeam.teamId}`;
+        const match = {
+          id: matchId,
+          teamAId: myTeam.teamId,
+          teamBId: opponent.teamId,
+          teamAName: myTeam.name,
+          teamBName: opponent.name,
+          result,
+          score,
+          reportedBy: userId,
+          status: "pending",
+          createdAt: nowISO(),
+          expiresAt: new Date(Date.now() + MATCH_CONFIRM_HOURS * 60 * 60 * 1000).toISOString()
+        };
+        scope.matches.push(match);
+        await saveData(data);
+
+        const reportEmbed = new EmbedBuilder()
+          .setTitle("Match report")
+          .setDescription(`<@${opponent.leaderId}>, <@${userId}> reports that **${myTeam.name}** ${MATCH_VERBS[result]} **${opponent.name}**${score ? ` (${score})` : ""}. Please confirm the result.`)
+          .addFields(
+            { name: "Ratings", value: `${myTeam.name}: ${teamRating(myTeam)}\n${opponent.name}: ${teamRating(opponent)}`, inline: true },
+            { name: "Expires", value: toTimestamp(match.expiresAt), inline: true }
+          )
+          .setTimestamp();
+
+        const confirmBtn = new ButtonBuilder().setCustomId(`match_confirm::${matchId}`).setLabel("Confirm").setStyle(ButtonStyle.Success);
+        const disputeBtn = new ButtonBuilder().setCustomId(`match_dispute::${matchId}`).setLabel("Dispute").setStyle(ButtonStyle.Danger);
+        const row = new ActionRowBuilder().addComponents(confirmBtn, disputeBtn);
+
+        const message = await interaction.reply({ content: `<@${opponent.leaderId}>`, embeds: [reportEmbed], components: [row], fetchReply: true });
+
+        match.messageChannelId = interaction.channelId;
+        match.messageId = message.id;
+        await saveData(data);
+
+        // unconfirmed reports lapse; stored, so it survives restarts
+        await scheduler.schedule({ id: matchExpiryJobId(matchId), type: "matchExpire", runAt: match.expiresAt, payload: { matchId } });
+        return;
+      }
+
+      // ------------------ leaderboard ------------------
+      if (interaction.commandName === "leaderboard") {
+        return interaction.reply(buildLeaderboardPage(scope));
+      }
+
+      // ------------------ scrim ------------------
+      if (interaction.commandName === "scrim") {
+        const sub = interaction.options.getSubcommand();
+        const leaderTeam = findLeaderTeam(scope, userId);
+        if (!leaderTeam) return interaction.reply({ content: "Only team leaders can schedule or cancel scrims.", ephemeral: true });
+
+        if (sub === "cancel") {
+          const arg = interaction.options.getString("scrim", true);
+          const scrim = scope.scrims.find(s => s.id === arg && (s.teamAId === leaderTeam.teamId || s.teamBId === leaderTeam.teamId));
+          if (!scrim) return interaction.reply({ content: "That scrim doesn't exist or doesn't involve your team.", ephemeral: true });
+          if (scrim.status !== "pending" && scrim.status !== "accepted") {
+            return interaction.reply({ content: `That scrim can't be cancelled any more (${SCRIM_STATUS_LABELS[scrim.status].toLowerCase()}).`, ephemeral: true });
+          }
+
+          const wasAccepted = scrim.status === "accepted";
+          scrim.status = "cancelled";
+          await saveData(data);
+          await cancelScrimJobs(scrim.id);
+          await disableScrimButtons(scrim, `Cancelled by ${leaderTeam.name}`);
+
+          const other = scope.teams[scrim.teamAId === leaderTeam.teamId ? scrim.teamBId : scrim.teamAId];
+          if (wasAccepted && other && interaction.guild) {
+            await postTeamNotice(interaction.guild, other, `❌ **${leaderTeam.name}** called off the scrim planned for ${toTimestamp(scrim.startsAt, "f")}.`);
+          }
+          return interaction.reply({ content: `Cancelled the scrim: ${describeScrim(scrim)}.`, ephemeral: true });
+        }
+
+        const arg = interaction.options.getString("opponent", true);
+        const opponent = resolveTeam(scope, arg);
+        if (!opponent) return interaction.reply({ content: `No team found for "${arg}".`, ephemeral: true });
+        if (opponent.teamId === leaderTeam.teamId) return interaction.reply({ content: "You can't scrim against your own team.", ephemeral: true });
+        const pairPending = scope.scrims.find(s => s.status === "pending" &&
+          ((s.teamAId === leaderTeam.teamId && s.teamBId === opponent.teamId) || (s.teamAId === opponent.teamId && s.teamBId === leaderTeam.teamId)));
+        if (pairPending) {
+          return interaction.reply({ content: `There is already an unanswered scrim proposal between **${leaderTeam.name}** and **${opponent.name}**.`, ephemeral: true });
+        }
+
+        const startsAt = new Date(Date.now() + interaction.options.getNumber("starts_in_hours", true) * 60 * 60 * 1000).toISOString();
+        const note = (interaction.options.getString("note") || "").trim() || null;
+        const scrimId = `scrim-${Date.now()}-${leaderTeam.teamId}`;
+        const scrim = {
+          id: scrimId,
+          teamAId: leaderTeam.teamId,
+          teamBId: opponent.teamId,
+          teamAName: leaderTeam.name,
+          teamBName: opponent.name,
+          proposedBy: userId,
+          startsAt,
+          durationMinutes: interaction.options.getInteger("duration_minutes") || 60,
+          note,
+          status: "pending",
+          createdAt: nowISO()
+        };
+        scope.scrims.push(scrim);
+        await saveData(data);
+
+        const scrimEmbed = new EmbedBuilder()
+          .setTitle("Scrim proposal")
+          .setDescription(`<@${opponent.leaderId}>, **${leaderTeam.name}** wants to scrim against **${opponent.name}**.`)
+          .addFields(
+            { name: "Starts", value: `${toTimestamp(startsAt, "f")} (${toTimestamp(startsAt)})`, inline: true },
+            { name: "Duration", value: `${scrim.durationMinutes} min`, inline: true },
+            { name: "Proposed by", value: `<@${userId}>`, inline: true }
+          )
+          .setTimestamp();
+        if (note) scrimEmbed.addFields({ name: "Note", value: note });
+
+        const acceptBtn = new ButtonBuilder().setCustomId(`scrim_accept::${scrimId}`).setLabel("Accept").setStyle(ButtonStyle.Success);
+        const declineBtn = new ButtonBuilder().setCustomId(`scrim_decline::${scrimId}`).setLabel("Decline").setStyle(ButtonStyle.Danger);
+        const row = new ActionRowBuilder().addComponents(acceptBtn, declineBtn);
+
+        const message = await interaction.reply({ content: `<@${opponent.leaderId}>`, embeds: [scrimEmbed], components: [row], fetchReply: true });
+
+        scrim.messageChannelId = interaction.channelId;
+        scrim.messageId = message.id;
+        await saveData(data);
+
+        // an unanswered proposal lapses when the scrim would have started
+        await scheduler.schedule({ id: scrimJobId(scrimId, "expire"), type: "scrimExpire", runAt: startsAt, payload: { guildId: interaction.guildId, scrimId } });
+        return;
+      }
+
+      // ------------------ scrims ------------------
+      if (interaction.commandName === "scrims") {
+        const myTeam = findUserTeam(scope, userId);
+        const mine = interaction.options.getBoolean("mine") || false;
+        if (mine && !myTeam) return interaction.reply({ content: "You are not in a team.", ephemeral: true });
+
+        const upcoming = scope.scrims
+          .filter(s => ["pending", "accepted", "started"].includes(s.status))
+          .filter(s => !mine || s.teamAId === myTeam.teamId || s.teamBId === myTeam.teamId)
+          .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt));
+
+        const lines = upcoming.slice(0, 20).map(s => `${describeScrim(s)} — ${SCRIM_STATUS_LABELS[s.status]}${s.voiceChannelId ? ` <#${s.voiceChannelId}>` : ""}`);
+        if (upcoming.length > lines.length) lines.push(`…and ${upcoming.length - lines.length} more`);
+        const embed = new EmbedBuilder()
+          .setTitle(mine ? `Scrims for ${myTeam.name}` : "Upcoming scrims")
+          .setDescription(lines.length ? lines.join("\n") : "No upcoming scrims. Propose one with /scrim propose.")
+          .setTimestamp();
+        return interaction.reply({ embeds: [embed], ephemeral: true });
+      }
+
+      // ------------------ teamedit ------------------
+      if (interaction.commandName === "teamedit") {
+        const leaderTeam = findLeaderTeam(scope, userId);
+        if (!leaderTeam) return interaction.reply({ content: "Only the team leader can edit the team profile.", ephemeral: true });
+
+        const field = (id, label, style, value, maxLength, placeholder) => new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId(id)
+            .setLabel(label)
+            .setStyle(style)
+            .setRequired(false)
+            .setMaxLength(maxLength)
+            .setPlaceholder(placeholder)
+            .setValue(value || "")
+        );
+        const modal = new ModalBuilder()
+          .setCustomId(`team_edit::${leaderTeam.teamId}`)
+          .setTitle(`Edit ${leaderTeam.name}`.slice(0, 45))
+          .addComponents(
+            field("description", "Description", TextInputStyle.Paragraph, leaderTeam.description, 300, "What is your team about?"),
+            field("tag", "Tag (2-5 letters or digits)", TextInputStyle.Short, leaderTeam.tag, 7, "ABC"),
+            field("color", "Color (hex)", TextInputStyle.Short, leaderTeam.color, 7, "#1abc9c"),
+            field("recruiting", "Recruiting? (yes/no)", TextInputStyle.Short, leaderTeam.recruiting ? "yes" : "no", 5, "yes")
+          );
+        return interaction.showModal(modal);
+      }
+
+      // ------------------ teamconfig ------------------
+      if (interaction.commandName === "teamconfig") {
+        if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+          return interaction.reply({ content: "You need the Manage Server permission to change team settings.", ephemeral: true });
+        }
+
+        const sub = interaction.options.getSubcommand();
+
+        if (sub === "set") {
+          const updates = {};
+          const maxTeamSize = interaction.options.getInteger("max_team_size");
+          const category = interaction.options.getChannel("category");
+          const inviteExpiryHours = interaction.options.getInteger("invite_expiry_hours");
+          const declineCooldownHours = interaction.options.getInteger("decline_cooldown_hours");
+          const inviteHistoryDays = interaction.options.getInteger("invite_history_days");
+          const staffRole = interaction.options.getRole("staff_role");
+          const logChannel = interaction.options.getChannel("log_channel");
+          const channelNameTemplate = interaction.options.getString("channel_name_template");
+          const idleWarningDays = interaction.options.getInteger("idle_warning_days");
+          const idleGraceDays = interaction.options.getInteger("idle_grace_days");
+          const disbandMode = interaction.options.getString("disband_mode");
+          const archiveCategory = interaction.options.getChannel("archive_category");
+          const blocklistAdd = parseBlocklist(interaction.options.getString("blocklist_add"));
+          const blocklistRemove = parseBlocklist(interaction.options.getString("blocklist_remove"));
+
+          if (maxTeamSize !== null) updates.maxTeamSize = maxTeamSize;
+          if (category) updates.categoryId = category.id;
+          if (inviteExpiryHours !== null) updates.inviteExpiryHours = inviteExpiryHours;
+          if (declineCooldownHours !== null) updates.declineCooldownHours = declineCooldownHours;
+          if (inviteHistoryDays !== null) updates.inviteHistoryDays = inviteHistoryDays;
+          if (staffRole) updates.staffRoleId = staffRole.id;
+          if (logChannel) updates.logChannelId = logChannel.id;
+          if (idleWarningDays !== null) updates.idleWarningDays = idleWarningDays;
+          if (idleGraceDays !== null) updates.idleGraceDays = idleGraceDays;
+          if (disbandMode) updates.disbandMode = disbandMode;
+          if (archiveCategory) updates.archiveCategoryId = archiveCategory.id;
+          if (blocklistAdd.length || blocklistRemove.length) {
+            const words = new Set([...config.nameBlocklist, ...blocklistAdd]);
+            for (const word of blocklistRemove) words.delete(word);
+            updates.nameBlocklist = [...words].sort();
+          }
+          if (channelNameTemplate !== null) {
+            // without {type} the chat and voice channels would get the same name
+            if (!channelNameTemplate.includes("{name}") || !channelNameTemplate.includes("{type}")) {
+              return interaction.reply({ content: "The channel name template must contain both {name} and {type}.", ephemeral: true });
+            }
+            updates.channelNameTemplate = channelNameTemplate;
+          }
+
+          if (Object.keys(updates).length === 0) {
+            return interaction.reply({ content: "Provide at least one setting to change.", ephemeral: true });
+          }
+
+          scope.config = { ...scope.config, ...updates };
+          await saveData(data);
+        } else if (sub === "reset") {
+          scope.config = {};
+          await saveData(data);
+        }
+
+        const current = getGuildConfig(scope);
+        const embed = new EmbedBuilder()
+          .setTitle(sub === "view" ? "Team settings" : "Team settings updated")
+          .addFields(
+            { name: "Max team size", value: `${current.maxTeamSize}`, inline: true },
+            { name: "Team category", value: current.categoryId ? `<#${current.categoryId}>` : "None", inline: true },
+            { name: "Invite expiry", value: humanDurationMs(current.inviteExpiryHours * 60 * 60 * 1000), inline: true },
+            { name: "Decline cooldown", value: humanDurationMs(current.declineCooldownHours * 60 * 60 * 1000), inline: true },
+            { name: "Invite history", value: `${current.inviteHistoryDays}d`, inline: true },
+            { name: "Staff role", value: current.staffRoleId ? `<@&${current.staffRoleId}>` : "None (Manage Server only)", inline: true },
+            { name: "Log channel", value: current.logChannelId ? `<#${current.logChannelId}>` : "None", inline: true },
+            { name: "Channel names", value: `\`${current.channelNameTemplate}\` (e.g. \`${teamChannelName(current, "My Team", "chat", "ABC")}\`)`, inline: true },
+            { name: "Idle cleanup", value: current.idleWarningDays ? `Warn after ${current.idleWarningDays}d, disband ${current.idleGraceDays}d later` : "Off", inline: true },
+            { name: "Disband mode", value: current.disbandMode === "archive" ? `Archive${current.archiveCategoryId ? ` to <#${current.archiveCategoryId}>` : ""}` : "Delete", inline: true },
+            // spoilered: the list is mostly words people don't want to read
+            { name: `Name blocklist (${current.nameBlocklist.length})`, value: current.nameBlocklist.length ? `||${current.nameBlocklist.join(", ")}||`.slice(0, 1020) : "Empty" }
+          )
+          .setTimestamp();
+
+        return interaction.reply({ embeds: [embed], ephemeral: true });
+      }
+
+      // ------------------ teamadmin ------------------
+      if (interaction.commandName === "teamadmin") {
+        if (!isStaff(interaction, config)) {
+          return interaction.reply({ content: "Only server staff (Manage Server or the configured staff role) can use /teamadmin.", ephemeral: true });
+        }
+
+        const sub = interaction.options.getSubcommand();
+        const arg = interaction.options.getString("team", true);
+
+        if (sub === "history") {
+          // match on team id or any name the team has had, so renamed and deleted teams can be found
+          const current = resolveTeam(scope, arg);
+          const teamIds = new Set(current ? [current.teamId] : []);
+          for (const entry of scope.history) {
+            if (entry.teamId === arg || entry.teamName.toLowerCase() === arg.toLowerCase() || (entry.after && String(entry.after).toLowerCase() === arg.toLowerCase())) {
+              teamIds.add(entry.teamId);
+            }
+          }
+          const limit = interaction.options.getInteger("limit") || 15;
+          const entries = scope.history.filter(e => teamIds.has(e.teamId)).slice(-limit).reverse();
+          if (entries.length === 0) return interaction.reply({ content: `No recorded events for "${arg}".`, ephemeral: true });
+
+          const embed = new EmbedBuilder()
+            .setTitle(`History: ${current ? current.name : entries[0].teamName}`)
+            .setDescription(entries.map(formatTeamEvent).join("\n").slice(0, 4000))
+            .setFooter({ text: `Newest first · showing ${entries.length}` })
+            .setTimestamp();
+          return interaction.reply({ embeds: [embed], ephemeral: true });
+        }
+
+        const reason = interaction.options.getString("reason", true).trim();
+        if (!reason) return interaction.reply({ content: "Please provide a reason.", ephemeral: true });
+
+        if (sub === "restore") {
+          const archive = resolveArchive(scope, arg);
+          if (!archive) return interaction.reply({ content: `No archived team found for "${arg}".`, ephemeral: true });
+          await interaction.deferReply({ ephemeral: true });
+
+          const auditReason = `${interaction.user.tag} via /teamadmin restore: ${reason}`.slice(0, 512);
+          const result = await restoreArchivedTeam(guild, scope, config, archive, auditReason);
+          if (result.error) return interaction.editReply({ content: result.error });
+          const { team, dropped } = result;
+          await saveData(data);
+          await logTeamEvent(data, guild.id, { type: "team.restored", team, actorId: userId, reason });
+
+          for (const memberId of team.members) {
+            const user = await client.users.fetch(memberId).catch(()=>null);
+            if (user) user.send(`Server staff restored your team **${team.name}**.\nReason: ${reason}`).catch(()=>null);
+          }
+          console.log(`[teamadmin] ${interaction.user.tag} restored ${team.name} (${team.teamId}): ${reason}`);
+
+          const embed = new EmbedBuilder()
+            .setTitle("Team restored")
+            .setDescription(`**${team.name}** is back with ${team.members.length} member(s), led by <@${team.leaderId}>.`)
+            .addFields({ name: "Reason", value: reason }, { name: "Staff", value: `<@${userId}>`, inline: true })
+            .setTimestamp();
+          if (dropped.length) embed.addFields({ name: "Not restored (left the server or in another team)", value: dropped.map(id => `<@${id}>`).join(", ").slice(0, 1024) });
+          if (team.textChannelId) embed.addFields({ name: "Text channel", value: `<#${team.textChannelId}>`, inline: true });
+          return interaction.editReply({ embeds: [embed] });
+        }
+
+        const team = resolveTeam(scope, arg);
+        if (!team) return interaction.reply({ content: `No team found for "${arg}".`, ephemeral: true });
+
+        // event roster locks bind staff too; /teamevent end lifts them
+        const lock = ["disband", "add", "kick"].includes(sub) ? rosterLock(scope, team.teamId) : null;
+        if (lock) return interaction.reply({ content: `${rosterLockedMessage(team, lock)} Use /teamevent end to unlock it.`, ephemeral: true });
+
+        // reason as shown in Discord's audit log
+        const auditReason = `${interaction.user.tag} via /teamadmin ${sub}: ${reason}`.slice(0, 512);
+        const embed = new EmbedBuilder()
+          .addFields({ name: "Reason", value: reason }, { name: "Staff", value: `<@${userId}>`, inline: true })
+          .setTimestamp();
+        // DM a user about the action (best-effort)
+        const notify = async (targetId, text) => {
+          const user = await client.users.fetch(targetId).catch(()=>null);
+          if (user) user.send(`${text}\nReason: ${reason}`).catch(()=>null);
+        };
+
+        if (sub === "disband") {
+          // archiving builds a transcript, which can take longer than the 3s reply window
+          await interaction.deferReply({ ephemeral: true });
+          await disbandTeamAndNotify(guild, data, guild.id, team, {
+            auditReason,
+            logReason: reason,
+            actorId: userId,
+            notice: `Your team **${team.name}** was disbanded by server staff.\nReason: ${reason}`
+          });
+          console.log(`[teamadmin] ${interaction.user.tag} disbanded ${team.name} (${team.teamId}): ${reason}`);
+
+          embed.setTitle("Team disbanded").setDescription(config.disbandMode === "archive"
+            ? `**${team.name}** was archived: its text channel is kept read-only, its voice channel and role were deleted. Use /teamadmin restore to bring it back.`
+            : `**${team.name}** was deleted along with its channels and role.`);
+          return interaction.editReply({ embeds: [embed] });
+        }
+
+        if (sub === "add") {
+          const targetId = interaction.options.getUser("user", true).id;
+          const currentTeam = findUserTeam(scope, targetId);
+          if (currentTeam) {
+            return interaction.reply({ content: `<@${targetId}> is already in **${currentTeam.name}**. Remove them from it first.`, ephemeral: true });
+          }
+          if (team.members.length >= config.maxTeamSize) {
+            return interaction.reply({ content: `**${team.name}** is full (${team.members.length}/${config.maxTeamSize}).`, ephemeral: true });
+          }
+          // only server members can be given the team role
+          const targetMember = await fetchExisting(guild.members.fetch(targetId));
+          if (targetMember === undefined) return interaction.reply({ content: "Couldn't look up that user. Please try again.", ephemeral: true });
+          if (!targetMember) return interaction.reply({ content: `<@${targetId}> is not a member of this server.`, ephemeral: true });
+
+          team.members.push(targetId);
+          await saveData(data);
+          await grantMemberChannelAccess(guild, team, targetId, auditReason);
+          await logTeamEvent(data, guild.id, { type: "member.added", team, actorId: userId, targetId, reason });
+          await cancelInvitesIfFull(data, guild.id, team);
+
+          await notify(targetId, `Server staff added you to **${team.name}**.`);
+          await notify(team.leaderId, `Server staff added <@${targetId}> to your team **${team.name}**.`);
+          console.log(`[teamadmin] ${interaction.user.tag} added ${targetId} to ${team.name} (${team.teamId}): ${reason}`);
+
+          embed.setTitle("Member added").setDescription(`<@${targetId}> was added to **${team.name}** (${team.members.length}/${config.maxTeamSize}).`);
+          return interaction.reply({ embeds: [embed], ephemeral: true });
+        }
+
+        if (sub === "kick") {
+          const targetId = interaction.options.getUser("user", true).id;
+          if (!team.members.includes(targetId)) {
+            return interaction.reply({ content: `<@${targetId}> is not in **${team.name}**.`, ephemeral: true });
+          }
+          if (targetId === team.leaderId) {
+            return interaction.reply({ content: "That member is the team leader. Use /teamadmin leader to reassign leadership first, or /teamadmin disband.", ephemeral: true });
+          }
+
+          removeFromRoster(team, targetId);
+          await saveData(data);
+          await revokeMemberChannelAccess(guild, team, targetId, auditReason);
+          await logTeamEvent(data, guild.id, { type: "member.removed", team, actorId: userId, targetId, reason });
+
+          await notify(targetId, `Server staff removed you from **${team.name}**.`);
+          await notify(team.leaderId, `Server staff removed <@${targetId}> from your team **${team.name}**.`);
+          console.log(`[teamadmin] ${interaction.user.tag} removed ${targetId} from ${team.name} (${team.teamId}): ${reason}`);
+
+          embed.setTitle("Member removed").setDescription(`<@${targetId}> was removed from **${team.name}**.`);
+          return interaction.reply({ embeds: [embed], ephemeral: true });
+        }
+
+        if (sub === "rename") {
+          // staff renames follow the same name policy as everyone else
+          const { name: newName, error: nameError } = checkGuildTeamName(scope, config, interaction.options.getString("name", true), team.teamId);
+          if (nameError) return interaction.reply({ content: nameError, ephemeral: true });
+
+          const oldName = await renameTeam(guild, config, team, newName, auditReason);
+          await saveData(data);
+          await logTeamEvent(data, guild.id, { type: "team.renamed", team, actorId: userId, before: oldName, after: team.name, reason });
+
+          await notify(team.leaderId, `Server staff renamed your team **${oldName}** to **${team.name}**.`);
+          console.log(`[teamadmin] ${interaction.user.tag} renamed ${oldName} to ${team.name} (${team.teamId}): ${reason}`);
+
+          embed.setTitle("Team renamed").setDescription(`**${oldName}** → **${team.name}**`);
+          return interaction.reply({ embeds: [embed], ephemeral: true });
+        }
+
+        if (sub === "leader") {
+          const targetId = interaction.options.getUser("user", true).id;
+          if (!team.members.includes(targetId)) {
+            return interaction.reply({ content: `<@${targetId}> is not in **${team.name}**. Add them first with /teamadmin add.`, ephemeral: true });
+          }
+          if (targetId === team.leaderId) {
+            return interaction.reply({ content: `<@${targetId}> already leads **${team.name}**.`, ephemeral: true });
+          }
+
+          // a staff reassignment overrides any pending member-initiated transfer
+          for (const pending of scope.transfers.filter(t => t.teamId === team.teamId && t.status === "pending")) {
+            pending.status = "cancelled";
+            await disableTransferButtons(client, pending, "Leadership was reassigned by staff");
+          }
+          const oldLeaderId = await transferLeadership(guild, team, targetId, auditReason);
+          await saveData(data);
+          await logTeamEvent(data, guild.id, { type: "team.leader", team, actorId: userId, before: `<@${oldLeaderId}>`, after: `<@${targetId}>`, reason });
+
+          await notify(targetId, `Server staff made you the leader of **${team.name}**.`);
+          await notify(oldLeaderId, `Server staff made <@${targetId}> the leader of **${team.name}**.`);
+          console.log(`[teamadmin] ${interaction.user.tag} made ${targetId} leader of ${team.name} (${team.teamId}): ${reason}`);
+
+          embed.setTitle("Leader reassigned").setDescription(`<@${targetId}> now leads **${team.name}** (was <@${oldLeaderId}>).`);
+          return interaction.reply({ embeds: [embed], ephemeral: true });
+        }
+      }
+
+      // ------------------ teamevent ------------------
+      if (interaction.commandName === "teamevent") {
+        if (!isStaff(interaction, config)) {
+          return interaction.reply({ content: "Only server staff (Manage Server or the configured staff role) can manage events.", ephemeral: true });
+        }
+        const sub = interaction.options.getSubcommand();
+
+        if (sub === "create") {
+          const name = interaction.options.getString("name", true).trim();
+          if (!name) return interaction.reply({ content: "Please provide an event name.", ephemeral: true });
+          const opensIn = interaction.options.getNumber("opens_in_hours") || 0;
+          const closesIn = interaction.options.getNumber("closes_in_hours", true);
+          if (closesIn <= opensIn) {
+            return interaction.reply({ content: "Registration must close after it opens (closes_in_hours > opens_in_hours).", ephemeral: true });
+          }
+          if (scope.events.some(e => e.status !== "ended" && e.name.toLowerCase() === name.toLowerCase())) {
+            return interaction.reply({ content: `An event named "${name}" is already running.`, ephemeral: true });
+          }
+
+          const event = {
+            id: `evt-${Date.now()}`,
+            name,
+            channelId: interaction.options.getChannel("channel")?.id || interaction.channelId,
+            opensAt: plusHoursISO(opensIn),
+            closesAt: plusHoursISO(closesIn),
+            status: opensIn > 0 ? "scheduled" : "open",
+            teamIds: [],
+            createdBy: userId,
+            createdAt: nowISO()
+          };
+          scope.events.push(event);
+          await saveData(data);
+          await scheduleEventJobs(guild.id, event);
+
+          const embed = new EmbedBuilder()
+            .setTitle(`Event created: ${event.name}`)
+            .addFields(
+              { name: "Registration opens", value: opensIn > 0 ? toTimestamp(event.opensAt, "f") : "Now", inline: true },
+              { name: "Registration closes", value: toTimestamp(event.closesAt, "f"), inline: true },
+              { name: "Announcements", value: `<#${event.channelId}>`, inline: true }
+            )
+            .setFooter({ text: "Rosters of registered teams lock when registration closes." })
+            .setTimestamp();
+          await interaction.reply({ embeds: [embed], ephemeral: true });
+
+          if (event.status === "open") await openEventRegistration(data, scope, event);
+          return;
+        }
+
+        if (sub === "list") {
+          const events = scope.events.filter(e => e.status !== "ended").concat(scope.events.filter(e => e.status === "ended").slice(-5));
+          const embed = new EmbedBuilder()
+            .setTitle("Events")
+            .setDescription(events.map(e => {
+              const when = e.status === "scheduled" ? `opens ${toTimestamp(e.opensAt)}`
+                : e.status === "open" ? `closes ${toTimestamp(e.closesAt)}`
+                : "";
+              return `**${e.name}** — ${EVENT_STATUS_LABELS[e.status]}${when ? ` (${when})` : ""} — ${e.teamIds.length} team(s)`;
+            }).join("\n").slice(0, 4000) || "No events yet. Create one with /teamevent create.")
+            .setTimestamp();
+          return interaction.reply({ embeds: [embed], ephemeral: true });
+        }
+
+        if (sub === "end") {
+          const arg = interaction.options.getString("event", true);
+          const event = resolveEvent(scope, arg);
+          if (!event) return interaction.reply({ content: `No event found for "${arg}".`, ephemeral: true });
+          if (event.status === "ended") return interaction.reply({ content: `**${event.name}** has already ended.`, ephemeral: true });
+
+          const wasLocked = event.status === "locked";
+          event.status = "ended";
+          event.endedAt = nowISO();
+          await saveData(data);
+          await scheduler.cancel(eventJobId(event.id, "open"));
+          await scheduler.cancel(eventJobId(event.id, "close"));
+
+          await postEventMessage(event, { content: wasLocked ? `**${event.name}** has ended. Team rosters are unlocked.` : `**${event.name}** was cancelled.` });
+          return interaction.reply({ content: `Ended **${event.name}**.${wasLocked ? ` ${event.teamIds.length} team roster(s) unlocked.` : ""}`, ephemeral: true });
+        }
+      }
+
+      // ------------------ teamregister ------------------
+      if (interaction.commandName === "teamregister") {
+        const arg = interaction.options.getString("event", true);
+        const withdraw = interaction.options.getBoolean("withdraw") || false;
+        const leaderTeam = findLeaderTeam(scope, userId);
+        if (!leaderTeam) return interaction.reply({ content: "Only team leaders can register their team for an event.", ephemeral: true });
+
+        const event = resolveEvent(scope, arg);
+        if (!event) return interaction.reply({ content: `No event found for "${arg}".`, ephemeral: true });
+        if (event.status !== "open") {
+          return interaction.reply({ content: `Registration for **${event.name}** is not open (${EVENT_STATUS_LABELS[event.status].toLowerCase()}).`, ephemeral: true });
+        }
+
+        const registered = event.teamIds.includes(leaderTeam.teamId);
+        if (withdraw !== registered) {
+          return interaction.reply({ content: `**${leaderTeam.name}** is ${registered ? "already" : "not"} registered for **${event.name}**.`, ephemeral: true });
+        }
+
+        event.teamIds = withdraw ? event.teamIds.filter(id => id !== leaderTeam.teamId) : [...event.teamIds, leaderTeam.teamId];
+        await saveData(data);
+        await logTeamEvent(data, guild.id, { type: withdraw ? "team.withdrawn" : "team.registered", team: leaderTeam, actorId: userId, after: event.name });
+
+        const embed = new EmbedBuilder()
+          .setTitle(withdraw ? "Registration withdrawn" : "Team registered")
+          .setDescription(withdraw
+            ? `**${leaderTeam.name}** is no longer registered for **${event.name}**.`
+            : `**${leaderTeam.name}** is registered for **${event.name}**. The roster locks ${toTimestamp(event.closesAt)}.`)
+          .addFields({ name: "Registered teams", value: String(event.teamIds.length), inline: true })
+          .setTimestamp();
+        return interaction.reply({ embeds: [embed] });
+      }
+
+      // ------------------ teamexport ------------------
+      if (interaction.commandName === "teamexport") {
+        if (!isStaff(interaction, config)) {
+          return interaction.reply({ content: "Only server staff (Manage Server or the configured staff role) can export teams.", ephemeral: true });
+        }
+        const format = interaction.options.getString("format") || "csv";
+        await interaction.deferReply({ ephemeral: true });
+
+        const teams = Object.values(scope.teams).sort((a, b) => a.name.localeCompare(b.name));
+        // fetch only the listed members for usernames; members who left fall back to the user cache
+        const ids = [...new Set(teams.flatMap(t => t.members))];
+        const members = await fetchGuildMembers(guild, ids) || guild.members.cache;
+        const usernames = new Map();
+        for (const id of ids) {
+          const username = members.get(id)?.user.username || client.users.cache.get(id)?.username;
+          if (username) usernames.set(id, username);
+        }
+
+        const file = new AttachmentBuilder(Buffer.from(exportTeams(teams, usernames, format), "utf8"), {
+          name: `teams-${guild.id}-${new Date().toISOString().slice(0, 10)}.${format}`
+        });
+        return interaction.editReply({ content: `Exported ${teams.length} team(s).`, files: [file] });
+      }
+
+      // ------------------ teamimport ------------------
+      if (interaction.commandName === "teamimport") {
+        if (!isStaff(interaction, config)) {
+          return interaction.reply({ content: "Only server staff (Manage Server or the configured staff role) can import teams.", ephemeral: true });
+        }
+        const attachment = interaction.options.getAttachment("file", true);
+        const dryRun = interaction.options.getBoolean("dry_run") || false;
+        const format = attachment.name.toLowerCase().endsWith(".json") || attachment.contentType?.includes("json") ? "json" : "csv";
+        if (attachment.size > TEAM_IMPORT_MAX_BYTES) {
+          return interaction.reply({ content: `That file is too large (max ${TEAM_IMPORT_MAX_BYTES / 1024} KB).`, ephemeral: true });
+        }
+        await interaction.deferReply({ ephemeral: true });
+
+        let text;
+        try {
+          const res = await fetch(attachment.url);
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          text = await res.text();
+        } catch (err) {
+          console.warn("Failed to download import file:", err);
+          return interaction.editReply({ content: "Couldn't download the file. Please try again." });
+        }
+
+        const { teams, errors } = parseTeamImport(text, format, {
+          maxTeamSize: config.maxTeamSize,
+          checkName: name => checkGuildTeamName(scope, config, name),
+          teamOf: id => findUserTeam(scope, id)?.name || null
+        });
+        // everyone listed must be in the server, or they couldn't get the team role
+        if (errors.length === 0) {
+          const ids = [...new Set(teams.flatMap(t => t.members))];
+          const found = await fetchGuildMembers(guild, ids);
+          if (!found) errors.push("Couldn't look up the listed members. Please try again.");
+          else for (const id of ids.filter(id => !found.has(id))) errors.push(`<@${id}> (${id}) is not a member of this server.`);
+        }
+
+        const preview = formatImportPreview(teams);
+        if (errors.length > 0) {
+          const embed = new EmbedBuilder()
+            .setTitle("Import failed validation")
+            .setDescription(errors.slice(0, 30).join("\n").slice(0, 4000))
+            .setFooter({ text: `${errors.length} problem(s) · nothing was created` })
+            .setTimestamp();
+          return interaction.editReply({ embeds: [embed] });
+        }
+        if (dryRun) {
+          const embed = new EmbedBuilder()
+            .setTitle(`Import preview — ${teams.length} team(s)`)
+            .setDescription(preview.slice(0, 4000))
+            .setFooter({ text: "Dry run · nothing was created. Run again without dry_run to import." })
+            .setTimestamp();
+          return interaction.editReply({ embeds: [embed] });
+        }
+
+        const auditReason = `Imported by ${interaction.user.tag} via /teamimport`;
+        for (const entry of teams) {
+          await createTeamWithMembers(guild, data, config, entry, { actorId: userId, reason: `Imported from ${attachment.name}`, auditReason });
+        }
+
+        const embed = new EmbedBuilder()
+          .setTitle(`Imported ${teams.length} team(s)`)
+          .setDescription(preview.slice(0, 4000))
+          .setTimestamp();
+        return interaction.editReply({ embeds: [embed] });
+      }
+
+      // ------------------ lfg ------------------
+      if (interaction.commandName === "lfg") {
+        const sub = interaction.options.getSubcommand();
+        scope.freeAgents = freeAgentPool(scope);
+        const existing = scope.freeAgents.find(a => a.userId === userId);
+
+        if (sub === "join") {
+          const team = findUserTeam(scope, userId);
+          if (team) return interaction.reply({ content: `You are already in **${team.name}**. Leave it first to look for another team.`, ephemeral: true });
+
+          const timezone = interaction.options.getString("timezone")?.trim() || null;
+          const utcOffset = timezone ? parseUtcOffset(timezone) : null;
+          if (timezone && utcOffset === null) {
+            return interaction.reply({ content: `"${timezone}" is not a UTC offset. Use something like UTC+2 or UTC-5:30.`, ephemeral: true });
+          }
+
+          const agent = existing || { userId, joinedAt: nowISO() };
+          agent.role = interaction.options.getString("role")?.trim() || null;
+          agent.skill = interaction.options.getInteger("skill") ?? null;
+          agent.timezone = timezone;
+          agent.utcOffset = utcOffset;
+          agent.note = interaction.options.getString("note")?.trim() || null;
+          if (!existing) scope.freeAgents.push(agent);
+          await saveData(data);
+
+          return interaction.reply({
+            content: `${existing ? "Updated your free-agent entry" : "You are in the free-agent pool"}: ${describeFreeAgent(agent)}\nTeams can invite you with /teamadd, and staff may place you with /teamautofill.`,
+            ephemeral: true
+          });
+        }
+
+        if (sub === "leave") {
+          if (!existing) return interaction.reply({ content: "You are not in the free-agent pool.", ephemeral: true });
+          scope.freeAgents = scope.freeAgents.filter(a => a.userId !== userId);
+          await saveData(data);
+          return interaction.reply({ content: "You left the free-agent pool.", ephemeral: true });
+        }
+
+        if (sub === "list") {
+          const agents = [...scope.freeAgents].sort((a, b) => a.joinedAt.localeCompare(b.joinedAt));
+          const embed = new EmbedBuilder()
+            .setTitle(`Free agents (${agents.length})`)
+            .setDescription(agents.map(describeFreeAgent).join("\n").slice(0, 4000) || "Nobody is looking for a team right now. Join with /lfg join.")
+            .setTimestamp();
+          return interaction.reply({ embeds: [embed], ephemeral: true });
+        }
+      }
+
+      // ------------------ teamautofill ------------------
+      if (interaction.commandName === "teamautofill") {
+        if (!isStaff(interaction, config)) {
+          return interaction.reply({ content: "Only server staff (Manage Server or the configured staff role) can run autofill.", ephemeral: true });
+        }
+        const mode = interaction.options.getString("mode") || "both";
+        const minSize = interaction.options.getInteger("min_size") || 2;
+        const dryRun = interaction.options.getBoolean("dry_run") || false;
+        await interaction.deferReply({ ephemeral: true });
+
+        const pool = freeAgentPool(scope);
+        const guildMembers = await fetchGuildMembers(guild, pool.map(a => a.userId));
+        if (!guildMembers) return interaction.editReply({ content: "Couldn't look up the free agents. Please try again." });
+        // players who left the server drop out of the pool
+        scope.freeAgents = pool.filter(a => guildMembers.has(a.userId));
+
+        // only teams that take join requests and aren't locked for an event get topped up
+        const openTeams = Object.values(scope.teams)
+          .filter(t => acceptsJoinRequests(t) && !rosterLock(scope, t.teamId) && t.members.length < config.maxTeamSize)
+          .map(t => ({
+            teamId: t.teamId,
+            name: t.name,
+            openSlots: config.maxTeamSize - t.members.length,
+            roles: t.members.map(id => t.memberRoles?.[id]).filter(Boolean)
+          }));
+        const plan = planAutofill({ agents: scope.freeAgents, teams: openTeams, teamSize: config.maxTeamSize, minSize, mode });
+
+        const displayName = id => guildMembers.get(id)?.displayName || id;
+        const reserved = [];
+        const newTeams = plan.newTeams.map(group => {
+          const name = autofillTeamName(scope, config, displayName(group.leaderId), reserved);
+          reserved.push(name);
+          return { ...group, name };
+        });
+        const preview = [
+          ...plan.topUps.map(t => `**${scope.teams[t.teamId].name}** + ${t.userIds.map(id => `<@${id}>`).join(", ")}`),
+          ...newTeams.map(t => `**${t.name}** (new) — ${t.userIds.map(id => `${id === t.leaderId ? "(leader) " : ""}<@${id}>`).join(", ")}`)
+        ];
+        const summary = new EmbedBuilder()
+          .setDescription(preview.join("\n").slice(0, 4000) || "Nobody could be placed.")
+          .addFields(
+            { name: "Placed", value: String(plan.topUps.concat(plan.newTeams).reduce((n, t) => n + t.userIds.length, 0)), inline: true },
+            { name: "Still in the pool", value: String(plan.unplaced.length), inline: true }
+          )
+          .setTimestamp();
+
+        if (dryRun) {
+          await saveData(data);
+          return interaction.editReply({ embeds: [summary.setTitle("Autofill preview").setFooter({ text: "Dry run · nobody was placed." })] });
+        }
+
+        const reason = "Placed by /teamautofill";
+        const auditReason = `${interaction.user.tag} via /teamautofill`;
+        const notify = async (targetId, text) => {
+          const user = await client.users.fetch(targetId).catch(()=>null);
+          if (user) user.send(text).catch(()=>null);
+        };
+        const placed = new Set();
+
+        for (const { teamId, userIds } of plan.topUps) {
+          const team = scope.teams[teamId];
+          team.members.push(...userIds);
+          for (const id of userIds) {
+            placed.add(id);
+            rememberMemberRole(team, scope.freeAgents.find(a => a.userId === id));
+          }
+          scope.freeAgents = scope.freeAgents.filter(a => !placed.has(a.userId));
+          await saveData(data);
+          for (const id of userIds) {
+            await grantMemberChannelAccess(guild, team, id, auditReason);
+            await logTeamEvent(data, guild.id, { type: "member.added", team, actorId: userId, targetId: id, reason });
+            await notify(id, `You were placed in **${team.name}** from the free-agent pool.${team.textChannelId ? ` Say hi in <#${team.textChannelId}>!` : ""}`);
+          }
+          await notify(team.leaderId, `Autofill added ${userIds.map(id => `<@${id}>`).join(", ")} to your team **${team.name}**.`);
+          await cancelInvitesIfFull(data, guild.id, team);
+        }
+
+        for (const group of newTeams) {
+          const members = [group.leaderId, ...group.userIds.filter(id => id !== group.leaderId)];
+          const agents = scope.freeAgents.filter(a => members.includes(a.userId));
+          for (const id of members) placed.add(id);
+          scope.freeAgents = scope.freeAgents.filter(a => !placed.has(a.userId));
+          const team = await createTeamWithMembers(guild, data, config, { name: group.name, leaderId: group.leaderId, members }, { actorId: userId, reason, auditReason });
+          for (const agent of agents) rememberMemberRole(team, agent);
+          await saveData(data);
+          for (const id of members) {
+            await notify(id, `You were placed in the new team **${team.name}** from the free-agent pool${id === team.leaderId ? " — you are its leader" : ""}.${team.textChannelId ? ` Say hi in <#${team.textChannelId}>!` : ""}`);
+          }
+        }
+
+        return interaction.editReply({ embeds: [summary.setTitle("Autofill complete")] });
+      }
+
+      // ------------------ teamsync ------------------
+      if (interaction.commandName === "teamsync") {
+        if (!isStaff(interaction, config)) {
+          return interaction.reply({ content: "Only server staff (Manage Server or the configured staff role) can use /teamsync.", ephemeral: true });
+        }
+
+        // fetching every member/channel can take longer than the 3s reply window
+        await interaction.deferReply({ ephemeral: true });
+        const report = await reconcileGuild(guild, data);
+
+        const embed = new EmbedBuilder()
+          .setTitle("Team sync")
+          .setDescription(report.length === 0
+            ? `All ${Object.keys(scope.teams).length} team(s) match the server. Nothing to change.`
+            : report.map(({ team, changes }) => `**${team.name}**: ${changes.join(", ")}`).join("\n").slice(0, 4000))
+          .setTimestamp();
+        return interaction.editReply({ embeds: [embed] });
+      }
+
+      // ------------------ myinvites ------------------
+      if (interaction.commandName === "myinvites") {
+        const now = new Date();
+        const mine = scope.invites.filter(inv => inv.invitedId === userId);
+
+        const incoming = mine
+          .filter(inv => inv.kind !== "request" && inv.status === "pending" && scope.teams[inv.teamId])
+          .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        const requests = mine.filter(inv => inv.kind === "request" && inv.status === "pending" && scope.teams[inv.teamId]);
+        const cooldowns = mine.filter(inv => inv.status === "declined" && inv.declinedUntil && new Date(inv.declinedUntil) > now);
+
+        const embed = new EmbedBuilder().setTitle("Your invites").setTimestamp();
+        embed.addFields({
+          name: `Pending invites (${incoming.length})`,
+          value: incoming.map(inv => `**${scope.teams[inv.teamId].name}** — from <@${inv.invitedBy || inv.leaderId}> — expires ${toTimestamp(inviteExpiresAt(inv))}`).join("\n").slice(0, 1024) || "None"
+        });
+        if (requests.length) {
+          embed.addFields({
+            name: "Your join requests",
+            value: requests.map(inv => `**${scope.teams[inv.teamId].name}** — waiting for the leader — expires ${toTimestamp(inviteExpiresAt(inv))}`).join("\n").slice(0, 1024)
+          });
+        }
+        if (cooldowns.length) {
+          embed.addFields({
+            name: "Cooldowns",
+            value: cooldowns.map(inv => {
+              const teamName = scope.teams[inv.teamId]?.name || "A deleted team";
+              return inv.kind === "request"
+                ? `You can request to join **${teamName}** again ${toTimestamp(inv.declinedUntil)}`
+                : `**${teamName}** can invite you again ${toTimestamp(inv.declinedUntil)}`;
+            }).join("\n").slice(0, 1024)
+          });
+        }
+
+        // one Accept/Decline row per incoming invite; Discord allows 5 rows per message
+        const rows = incoming.slice(0, 5).map(inv => new ActionRowBuilder().addComponents(
+          new ButtonBuilder().setCustomId(`invite_accept::${inv.id}`).setLabel(`Accept: ${scope.teams[inv.teamId].name}`.slice(0, 80)).setStyle(ButtonStyle.Success),
+          new ButtonBuilder().setCustomId(`invite_decline::${inv.id}`).setLabel("Decline").setStyle(ButtonStyle.Danger)
+        ));
+        if (incoming.length > rows.length) {
+          embed.setFooter({ text: `Buttons shown for the ${rows.length} newest invites. Use /accept <team> or /decline <team> for the rest.` });
+        }
+
+        const embeds = [embed];
+        const leaderTeam = findManagedTeam(scope, userId);
+        if (leaderTeam) {
+          const outgoing = scope.invites.filter(inv => inv.teamId === leaderTeam.teamId && inv.kind !== "request" && inv.status === "pending");
+          embeds.push(new EmbedBuilder()
+            .setTitle(`Outgoing invites — ${leaderTeam.name}`)
+            .setDescription(outgoing.map(inv => `<@${inv.invitedId}> — expires ${toTimestamp(inviteExpiresAt(inv))}`).join("\n").slice(0, 4000) || "No pending invites.")
+            .setTimestamp());
+
+          // cancel buttons, five per row, in whatever rows are left
+          const cancelButtons = outgoing.map(inv => new ButtonBuilder()
+            .setCustomId(`invite_cancel::${inv.id}`)
+            .setLabel(`Cancel: ${interaction.guild.members.cache.get(inv.invitedId)?.displayName || inv.invitedId}`.slice(0, 80))
+            .setStyle(ButtonStyle.Secondary));
+          for (let i = 0; i < cancelButtons.length && rows.length < 5; i += 5) {
+            rows.push(new ActionRowBuilder().addComponents(cancelButtons.slice(i, i + 5)));
+          }
+        }
+
+        return interaction.reply({ embeds, components: rows, ephemeral: true });
+      }
+
+      // ------------------ accept / decline (slash) ------------------
+      if (interaction.commandName === "accept" || interaction.commandName === "decline") {
+        const isAccept = interaction.commandName === "accept";
         const arg = interaction.options.getString("team");
 
         // find matching pending invite(s)
         let invite = null;
         if (arg) {
-          invite = data.invites
-            .filter(inv => inv.invitedId === userId && inv.status === "pending" && (inv.leaderId === arg || (data.teams[inv.teamId] && data.teams[inv.teamId].name.toLowerCase() === arg.toLowerCase())))
+          invite = scope.invites
+            .filter(inv => inv.kind !== "request" && inv.invitedId === userId && inv.status === "pending" && scope.teams[inv.teamId] && (inv.teamId === arg || scope.teams[inv.teamId].leaderId === arg || scope.teams[inv.teamId].name.toLowerCase() === arg.toLowerCase()))
             .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
         } else {
-          invite = data.invites
-            .filter(inv => inv.invitedId === userId && inv.status === "pending")
+          invite = scope.invites
+            .filter(inv => inv.kind !== "request" && inv.invitedId === userId && inv.status === "pending")
             .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
         }
 
         if (!invite) return interaction.reply({ content: "No pending invite found for you (or it may have expired).", ephemeral: true });
 
-        const team = data.teams[invite.teamId];
+        const team = scope.teams[invite.teamId];
         if (!team) {
           invite.status = "declined";
           await saveData(data);
           return interaction.reply({ content: "The team no longer exists.", ephemeral: true });
         }
+        const teamConfig = config;
+        const cooldownText = humanDurationMs(teamConfig.declineCooldownHours * 60 * 60 * 1000);
 
         if (isAccept) {
-          if (team.members.length >= 4) {
-            invite.status = "declined";
-            invite.declinedUntil = plusDaysISO(1);
+          const lock = rosterLock(scope, team.teamId);
+          if (lock) return interaction.reply({ content: rosterLockedMessage(team, lock), ephemeral: true });
+          if (team.members.length >= teamConfig.maxTeamSize) {
+            // the team filled up; that's not the invitee's doing, so no cooldown
+            await cancelInvite(invite, "Team was full when trying to accept");
             await saveData(data);
-            await disableInviteButtons(client, invite, "Team was full when trying to accept");
             // notify leader
             if (interaction.guild) {
               const leaderUser = await client.users.fetch(team.leaderId).catch(()=>null);
@@ -807,6 +3594,8 @@ client.on("interactionCreate", async (interaction) => {
           invite.status = "accepted";
           await saveData(data);
           await disableInviteButtons(client, invite, "Invite accepted");
+          await logTeamEvent(data, guild.id, { type: "member.joined", team, targetId: userId });
+          await cancelInvitesIfFull(data, guild.id, team);
 
           // grant channel access
           if (interaction.guild) await grantMemberChannelAccess(interaction.guild, team, userId);
@@ -815,7 +3604,7 @@ client.on("interactionCreate", async (interaction) => {
           const embed = new EmbedBuilder()
             .setTitle("Joined team")
             .setDescription(`You joined **${team.name}**!`)
-            .addFields({ name: "Members", value: `${team.members.length}/4` })
+            .addFields({ name: "Members", value: `${team.members.length}/${teamConfig.maxTeamSize}` })
             .setTimestamp();
 
           // notify leader privately
@@ -826,17 +3615,18 @@ client.on("interactionCreate", async (interaction) => {
         } else {
           // decline
           invite.status = "declined";
-          invite.declinedUntil = plusDaysISO(1);
+          invite.declinedUntil = plusHoursISO(teamConfig.declineCooldownHours);
           await saveData(data);
+          await logTeamEvent(data, guild.id, { type: "invite.declined", team, targetId: userId });
 
           // notify leader
           const leaderUser = await client.users.fetch(team.leaderId).catch(()=>null);
-          if (leaderUser) leaderUser.send(`<@${userId}> declined your invite to **${team.name}**. You cannot invite them again for 24 hours.`).catch(()=>null);
+          if (leaderUser) leaderUser.send(`<@${userId}> declined your invite to **${team.name}**. You cannot invite them again for ${cooldownText}.`).catch(()=>null);
 
           const embed = new EmbedBuilder()
             .setTitle("Invite declined")
             .setDescription(`You declined the invite to **${team.name}**.`)
-            .addFields({ name: "Cooldown", value: `You cannot be invited again to this team for 24 hours.` })
+            .addFields({ name: "Cooldown", value: `You cannot be invited again to this team for ${cooldownText}.` })
             .setTimestamp();
 
           return interaction.reply({ embeds: [embed], ephemeral: true });
@@ -846,9 +3636,142 @@ client.on("interactionCreate", async (interaction) => {
     } // end ApplicationCommand
   } catch (err) {
     console.error("Interaction handler error:", err);
-    if (interaction && !interaction.replied) {
-      try { await interaction.reply({ content: "An internal error occurred.", ephemeral: true }); } catch {}
+    const reply = { content: "An internal error occurred.", ephemeral: true };
+    // a deferred reply is still showing "thinking..."; replace it rather than leave it hanging
+    if (interaction.deferred && !interaction.replied) await interaction.editReply(reply).catch(()=>null);
+    else if (interaction.replied) await interaction.followUp(reply).catch(()=>null);
+    else await interaction.reply(reply).catch(()=>null);
+  }
+});
+
+// ----------------- Autocomplete handler -----------------
+// Choices carry the team/event id as value; resolveTeam, resolveEvent and the accept/decline lookup accept ids as well as names.
+client.on("interactionCreate", async (interaction) => {
+  if (!interaction.isAutocomplete()) return;
+
+  try {
+    const focused = interaction.options.getFocused(true);
+    if (!["team", "opponent", "event", "scrim"].includes(focused.name) || !interaction.guildId) return interaction.respond([]);
+
+    const data = await loadData();
+    const scope = guildData(data, interaction.guildId);
+    const config = getGuildConfig(scope);
+    const needle = String(focused.value).toLowerCase();
+    const userId = interaction.user.id;
+
+    if (focused.name === "event") {
+      // /teamregister only offers events taking registrations; /teamevent end anything not ended
+      const events = scope.events.filter(e => interaction.commandName === "teamregister" ? e.status === "open" : e.status !== "ended");
+      return interaction.respond(events
+        .filter(e => !needle || e.name.toLowerCase().includes(needle))
+        .slice(-25)
+        .reverse()
+        .map(e => ({ name: `${e.name} (${EVENT_STATUS_LABELS[e.status]})`.slice(0, 100), value: e.id })));
+    }
+
+    if (focused.name === "scrim") {
+      // /scrim cancel: the caller's team's scrims that haven't started yet
+      const team = findLeaderTeam(scope, userId);
+      if (!team) return interaction.respond([]);
+      return interaction.respond(scope.scrims
+        .filter(s => (s.status === "pending" || s.status === "accepted") && (s.teamAId === team.teamId || s.teamBId === team.teamId))
+        .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt))
+        .map(s => ({ name: `${s.teamAName} vs ${s.teamBName}, ${new Date(s.startsAt).toISOString().slice(0, 16).replace("T", " ")} UTC (${SCRIM_STATUS_LABELS[s.status]})`, id: s.id }))
+        .filter(c => !needle || c.name.toLowerCase().includes(needle))
+        .slice(0, 25)
+        .map(c => ({ name: c.name.slice(0, 100), value: c.id })));
+    }
+
+    if (interaction.commandName === "teamadmin" && interaction.options.getSubcommand(false) === "restore") {
+      // archived teams, newest first
+      return interaction.respond([...scope.archives]
+        .reverse()
+        .filter(a => !needle || a.team.name.toLowerCase().includes(needle))
+        .slice(0, 25)
+        .map(a => ({ name: `${a.team.name} (archived ${new Date(a.archivedAt).toISOString().slice(0, 10)})`.slice(0, 100), value: a.id })));
+    }
+
+    let choices;
+    if (interaction.commandName === "accept" || interaction.commandName === "decline") {
+      // only teams that have a pending invite out to the caller, newest first
+      choices = scope.invites
+        .filter(inv => inv.kind !== "request" && inv.invitedId === userId && inv.status === "pending" && scope.teams[inv.teamId])
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .map(inv => ({ team: scope.teams[inv.teamId], suffix: ` (expires in ${humanDurationMs(msUntil(inviteExpiresAt(inv)))})` }));
+    } else {
+      let teams = Object.values(scope.teams);
+      if (interaction.commandName === "teamjoin") {
+        teams = teams.filter(t => acceptsJoinRequests(t) && t.members.length < config.maxTeamSize);
+      }
+      if (focused.name === "opponent") {
+        teams = teams.filter(t => !t.members.includes(userId));
+      }
+      choices = teams
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(team => ({ team, suffix: "" }));
     }
+
+    const seen = new Set();
+    const options = choices
+      .filter(({ team }) => !needle || team.name.toLowerCase().includes(needle))
+      .filter(({ team }) => !seen.has(team.teamId) && seen.add(team.teamId))
+      .slice(0, 25)
+      .map(({ team, suffix }) => ({ name: `${team.name}${suffix}`.slice(0, 100), value: team.teamId }));
+
+    return interaction.respond(options);
+  } catch (err) {
+    console.warn("Autocomplete error:", err);
+    return interaction.respond([]).catch(()=>null);
+  }
+});
+
+// ----------------- Modal submit handler -----------------
+client.on("interactionCreate", async (interaction) => {
+  if (!interaction.isModalSubmit()) return;
+
+  try {
+    const [action, teamId] = interaction.customId.split("::");
+    if (action !== "team_edit") return;
+
+    const data = await loadData();
+    const found = findTeamAnywhere(data, teamId);
+    if (!found) return interaction.reply({ content: "That team no longer exists.", ephemeral: true });
+    const { guildId, scope, team } = found;
+    if (team.leaderId !== interaction.user.id) return interaction.reply({ content: "Only the team leader can edit the team profile.", ephemeral: true });
+
+    const { profile, errors } = parseTeamProfile({
+      description: interaction.fields.getTextInputValue("description"),
+      tag: interaction.fields.getTextInputValue("tag"),
+      color: interaction.fields.getTextInputValue("color"),
+      recruiting: interaction.fields.getTextInputValue("recruiting")
+    });
+    if (errors) return interaction.reply({ content: `Profile not saved:\n${errors.map(e => `• ${e}`).join("\n")}`, ephemeral: true });
+
+    // fields a team never set count as empty (no description, not recruiting)
+    const changed = Object.keys(profile).filter(key => (team[key] ?? (key === "recruiting" ? false : null)) !== profile[key]);
+    Object.assign(team, profile);
+    await saveData(data);
+    await interaction.deferReply({ ephemeral: true });
+    const guild = interaction.guild || await client.guilds.fetch(guildId).catch(()=>null);
+    if (guild) await applyTeamProfile(guild, getGuildConfig(scope), team, `Profile of ${team.name} edited by ${interaction.user.tag}`);
+    if (changed.length > 0) await logTeamEvent(data, guildId, { type: "team.edited", team, actorId: interaction.user.id, changed });
+
+    const embed = new EmbedBuilder()
+      .setTitle(`Profile updated: ${team.tag ? `[${team.tag}] ` : ""}${team.name}`)
+      .setDescription(team.description || "No description.")
+      .addFields(
+        { name: "Color", value: team.color || "Default", inline: true },
+        { name: "Recruiting", value: team.recruiting ? "Yes" : "No", inline: true }
+      )
+      .setTimestamp();
+    if (team.color) embed.setColor(team.color);
+    return interaction.editReply({ embeds: [embed] });
+  } catch (err) {
+    console.error("Modal handler error:", err);
+    const reply = { content: "An internal error occurred.", ephemeral: true };
+    if (interaction.deferred && !interaction.replied) await interaction.editReply(reply).catch(()=>null);
+    else if (interaction.replied) await interaction.followUp(reply).catch(()=>null);
+    else await interaction.reply(reply).catch(()=>null);
   }
 });
 
@@ -857,19 +3780,65 @@ client.on("interactionCreate", async (interaction) => {
   // handle button interactions separately
   if (!interaction.isButton()) return;
 
+  // a failed save or Discord call must not become an unhandled rejection
+  try {
+    await handleButton(interaction);
+  } catch (err) {
+    console.error("Button handler error:", err);
+    const reply = { content: "An internal error occurred.", ephemeral: true };
+    if (interaction.replied || interaction.deferred) await interaction.followUp(reply).catch(()=>null);
+    else await interaction.reply(reply).catch(()=>null);
+  }
+});
+
+// Route a button press by the action in its custom id (action::id[::more]); invite accept/decline is handled inline
+async function handleButton(interaction) {
   const [action, inviteId] = interaction.customId.split("::");
   if (!inviteId) return interaction.reply({ content: "Invalid button payload.", ephemeral: true });
 
   const data = await loadData();
-  const invite = data.invites.find(i => i.id === inviteId);
-  if (!invite) return interaction.reply({ content: "Invite not found or already handled.", ephemeral: true });
 
-  // Only invited user may press the buttons
-  if (interaction.user.id !== invite.invitedId) {
-    return interaction.reply({ content: "Only the invited user may accept or decline this invite.", ephemeral: true });
+  if (action === "transfer_accept" || action === "transfer_decline") {
+    return handleTransferButton(interaction, data, action, inviteId);
+  }
+  if (action === "teamlist_page") {
+    return handleTeamListButton(interaction, data);
+  }
+  if (action === "leaderboard_page") {
+    return handleLeaderboardButton(interaction, data, inviteId);
+  }
+  if (action === "match_confirm" || action === "match_dispute") {
+    return handleMatchButton(interaction, data, action, inviteId);
+  }
+  if (action === "scrim_accept" || action === "scrim_decline") {
+    return handleScrimButton(interaction, data, action, inviteId);
+  }
+  if (action === "invite_cancel") {
+    return handleInviteCancelButton(interaction, data, inviteId);
+  }
+  if (action === "idle_keep") {
+    return handleIdleKeepButton(interaction, data, inviteId);
   }
+  if (action === "confirm_cancel") {
+    return interaction.update({ content: "Cancelled. Nothing was changed.", embeds: [], components: [] });
+  }
+  if (action === "team_disband") {
+    return handleDisbandButton(interaction, data, inviteId);
+  }
+  if (action === "member_remove" || action === "member_undo") {
+    return handleMemberRemoveButton(interaction, data, action);
+  }
+  const found = findGuildRecord(data, "invites", inviteId);
+  const scope = found?.scope;
+  const invite = found?.record;
+  if (!invite) return interaction.reply({ content: "Invite not found or already handled.", ephemeral: true });
+
+  // Invites are answered by the invited user; join requests by the team leader or an officer.
+  // Either way invite.invitedId is the person who would join.
+  const isRequest = invite.kind === "request";
+  const joinerId = invite.invitedId;
+  const team = scope.teams[invite.teamId];
 
-  const team = data.teams[invite.teamId];
   if (!team) {
     invite.status = "declined";
     await saveData(data);
@@ -877,59 +3846,527 @@ client.on("interactionCreate", async (interaction) => {
     return interaction.reply({ content: "The team no longer exists.", ephemeral: true });
   }
 
+  if (isRequest ? memberRank(team, interaction.user.id) === "member" : interaction.user.id !== invite.invitedId) {
+    return interaction.reply({
+      content: isRequest ? "Only the team leader or an officer may approve or deny this join request." : "Only the invited user may accept or decline this invite.",
+      ephemeral: true
+    });
+  }
+
+  if (invite.status !== "pending") {
+    return interaction.reply({ content: `This ${isRequest ? "join request" : "invite"} was already handled.`, ephemeral: true });
+  }
+
+  const teamConfig = getGuildConfig(scope);
+  // join requests may be answered from a DM, where interaction.guild is null
+  const guild = interaction.guild || await client.guilds.fetch(found.guildId).catch(()=>null);
+  // the other side gets a DM about the outcome: the leader for invites, the requester for requests
+  const notifyId = isRequest ? joinerId : team.leaderId;
+
   if (action === "invite_accept") {
-    if (findUserTeam(data, interaction.user.id)) {
+    if (findUserTeam(scope, joinerId)) {
       invite.status = "declined";
       await saveData(data);
       await disableInviteButtons(interaction.client, invite, "User already in another team");
-      return interaction.reply({ content: "You are already in a team. Leave your current team before joining another.", ephemeral: true });
+      return interaction.reply({
+        content: isRequest ? `<@${joinerId}> has already joined another team.` : "You are already in a team. Leave your current team before joining another.",
+        ephemeral: true
+      });
     }
 
-    if (team.members.length >= 4) {
-      invite.status = "declined";
-      invite.declinedUntil = plusDaysISO(1);
+    const lock = rosterLock(scope, team.teamId);
+    if (lock) return interaction.reply({ content: rosterLockedMessage(team, lock), ephemeral: true });
+
+    if (team.members.length >= teamConfig.maxTeamSize) {
+      // the team filled up; that's not the joiner's doing, so no cooldown
+      await cancelInvite(invite, "Team was full");
       await saveData(data);
-      await disableInviteButtons(interaction.client, invite, "Team was full");
-      // notify leader
-      const leaderUser = await client.users.fetch(team.leaderId).catch(()=>null);
-      if (leaderUser) leaderUser.send(`<@${interaction.user.id}> tried to accept your invite to **${team.name}**, but the team was full.`).catch(()=>null);
+      // notify the other side
+      const notifyUser = await client.users.fetch(notifyId).catch(()=>null);
+      if (notifyUser) {
+        notifyUser.send(isRequest
+          ? `Your request to join **${team.name}** could not be approved because the team is full.`
+          : `<@${joinerId}> tried to accept your invite to **${team.name}**, but the team was full.`).catch(()=>null);
+      }
 
       return interaction.reply({ content: `Cannot join: team **${team.name}** is full.`, ephemeral: true });
     }
 
-    team.members.push(interaction.user.id);
+    team.members.push(joinerId);
     invite.status = "accepted";
     await saveData(data);
-    await disableInviteButtons(interaction.client, invite, "Invite accepted ✅");
+    await disableInviteButtons(interaction.client, invite, isRequest ? "Request approved ✅" : "Invite accepted ✅");
+    await logTeamEvent(data, found.guildId, { type: "member.joined", team, targetId: joinerId, actorId: isRequest ? interaction.user.id : undefined });
+    await cancelInvitesIfFull(data, found.guildId, team);
 
     // grant channel access
-    if (interaction.guild) await grantMemberChannelAccess(interaction.guild, team, interaction.user.id);
+    if (guild) await grantMemberChannelAccess(guild, team, joinerId);
 
-    // notify leader
-    const leaderUser = await client.users.fetch(team.leaderId).catch(()=>null);
-    if (leaderUser) leaderUser.send(`<@${interaction.user.id}> accepted your invite to **${team.name}**.`).catch(()=>null);
+    // notify the other side
+    const notifyUser = await client.users.fetch(notifyId).catch(()=>null);
+    if (notifyUser) {
+      notifyUser.send(isRequest
+        ? `Your request to join **${team.name}** was approved. Welcome!`
+        : `<@${joinerId}> accepted your invite to **${team.name}**.`).catch(()=>null);
+    }
 
-    return interaction.reply({ content: `You joined **${team.name}**!`, ephemeral: true });
+    return interaction.reply({ content: isRequest ? `<@${joinerId}> joined **${team.name}**.` : `You joined **${team.name}**!`, ephemeral: true });
   }
 
   if (action === "invite_decline") {
     invite.status = "declined";
-    invite.declinedUntil = plusDaysISO(1);
+    invite.declinedUntil = plusHoursISO(teamConfig.declineCooldownHours);
     await saveData(data);
-    await disableInviteButtons(interaction.client, invite, "Invite declined ❌");
+    await disableInviteButtons(interaction.client, invite, isRequest ? "Request denied ❌" : "Invite declined ❌");
+    await logTeamEvent(data, found.guildId, { type: isRequest ? "request.denied" : "invite.declined", team, targetId: joinerId, actorId: isRequest ? interaction.user.id : undefined });
 
-    // notify leader
-    const leaderUser = await client.users.fetch(team.leaderId).catch(()=>null);
-    if (leaderUser) leaderUser.send(`<@${interaction.user.id}> declined your invite to **${team.name}**. You cannot invite them again for 24 hours.`).catch(()=>null);
+    const cooldownText = humanDurationMs(msUntil(invite.declinedUntil));
+    // notify the other side
+    const notifyUser = await client.users.fetch(notifyId).catch(()=>null);
+    if (notifyUser) {
+      notifyUser.send(isRequest
+        ? `Your request to join **${team.name}** was denied. You can request again in ${cooldownText}.`
+        : `<@${joinerId}> declined your invite to **${team.name}**. You cannot invite them again for ${cooldownText}.`).catch(()=>null);
+    }
 
-    const ms = msUntil(invite.declinedUntil);
-    return interaction.reply({ content: `You declined the invite to **${team.name}**. You cannot be invited by this team again for ${humanDurationMs(ms)}.`, ephemeral: true });
+    return interaction.reply({
+      content: isRequest
+        ? `You denied <@${joinerId}>'s request. They cannot request to join again for ${cooldownText}.`
+        : `You declined the invite to **${team.name}**. You cannot be invited by this team again for ${cooldownText}.`,
+      ephemeral: true
+    });
   }
 
   return interaction.reply({ content: "Unknown button action.", ephemeral: true });
+}
+
+// Leader or officer cancels one of their team's pending invites (from /myinvites)
+async function handleInviteCancelButton(interaction, data, inviteId) {
+  const found = findGuildRecord(data, "invites", inviteId);
+  const invite = found?.record;
+  if (!invite || invite.status !== "pending") return interaction.reply({ content: "That invite is no longer pending.", ephemeral: true });
+
+  const team = found.scope.teams[invite.teamId];
+  if (!team || memberRank(team, interaction.user.id) === "member") {
+    return interaction.reply({ content: "Only the team leader or an officer may cancel this invite.", ephemeral: true });
+  }
+
+  await revokeInvite(invite, "Invite revoked by the team", `Your invite to **${team.name}** was withdrawn by the team.`);
+  await saveData(data);
+  await logTeamEvent(data, found.guildId, { type: "invite.cancelled", team, actorId: interaction.user.id, targetId: invite.invitedId });
+
+  return interaction.reply({ content: `Cancelled the invite to <@${invite.invitedId}>.`, ephemeral: true });
+}
+
+// Confirm/undo buttons are only honoured for CONFIRM_WINDOW_MS after their message was last changed
+function confirmationExpired(interaction) {
+  const shownAt = interaction.message.editedTimestamp || interaction.message.createdTimestamp;
+  return Date.now() - shownAt > CONFIRM_WINDOW_MS;
+}
+
+// /teamremove (no user) confirmation: disband the team and DM everyone on it
+async function handleDisbandButton(interaction, data, teamId) {
+  const found = findTeamAnywhere(data, teamId);
+  if (!found) return interaction.update({ content: "That team no longer exists.", embeds: [], components: [] });
+  const { guildId, scope, team } = found;
+  if (team.leaderId !== interaction.user.id) return interaction.reply({ content: "Only the team leader may disband the team.", ephemeral: true });
+  if (confirmationExpired(interaction)) return interaction.update({ content: "This confirmation expired. Run /teamremove again.", embeds: [], components: [] });
+  const lock = rosterLock(scope, team.teamId);
+  if (lock) return interaction.update({ content: rosterLockedMessage(team, lock), embeds: [], components: [] });
+
+  // disbanding can take a while (archive transcripts), so acknowledge first
+  await interaction.deferUpdate();
+  const guild = interaction.guild || await client.guilds.fetch(guildId).catch(()=>null);
+  const formerMembers = await disbandTeamAndNotify(guild, data, guildId, team, {
+    auditReason: `Team ${team.name} disbanded by its leader`,
+    actorId: interaction.user.id,
+    notice: `Your team **${team.name}** was disbanded by its leader <@${interaction.user.id}>.`
+  });
+
+  const embed = new EmbedBuilder()
+    .setTitle("Team disbanded")
+    .setDescription(`**${team.name}** was disbanded.${formerMembers.length > 1 ? ` ${formerMembers.length - 1} former member(s) were notified.` : ""}`)
+    .setTimestamp();
+  return interaction.editReply({ content: "", embeds: [embed], components: [] });
+}
+
+// /teamremove <user> confirmation (member_remove::<teamId>::<userId>) and its undo
+// (member_undo::<teamId>::<userId>::<was officer 0|1>)
+async function handleMemberRemoveButton(interaction, data, action) {
+  const [, teamId, targetId, wasOfficerFlag] = interaction.customId.split("::");
+  const found = findTeamAnywhere(data, teamId);
+  if (!found) return interaction.update({ content: "That team no longer exists.", embeds: [], components: [] });
+  const { guildId, scope, team } = found;
+  const actorId = interaction.user.id;
+  if (memberRank(team, actorId) === "member") {
+    return interaction.reply({ content: "Only the team leader or an officer may do this.", ephemeral: true });
+  }
+  if (confirmationExpired(interaction)) {
+    return interaction.update({ content: action === "member_undo" ? "The undo window has passed." : "This confirmation expired. Run /teamremove again.", embeds: [], components: [] });
+  }
+  const lock = rosterLock(scope, team.teamId);
+  if (lock) return interaction.update({ content: rosterLockedMessage(team, lock), embeds: [], components: [] });
+
+  const guild = interaction.guild || await client.guilds.fetch(guildId).catch(()=>null);
+  const targetUser = await client.users.fetch(targetId).catch(()=>null);
+
+  if (action === "member_remove") {
+    const problem = memberRemovalProblem(team, actorId, targetId);
+    if (problem) return interaction.update({ content: problem, embeds: [], components: [] });
+
+    const wasOfficer = isOfficer(team, targetId);
+    removeFromRoster(team, targetId);
+    await saveData(data);
+    await logTeamEvent(data, guildId, { type: "member.removed", team, actorId, targetId });
+    if (guild) await revokeMemberChannelAccess(guild, team, targetId);
+    if (targetUser) targetUser.send(`You were removed from **${team.name}**.`).catch(()=>null);
+
+    const embed = new EmbedBuilder()
+      .setTitle("Member removed")
+      .setDescription(`<@${targetId}> has been removed from **${team.name}**.`)
+      .setFooter({ text: `Undo is available for ${humanDurationMs(CONFIRM_WINDOW_MS)}.` })
+      .setTimestamp();
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`member_undo::${team.teamId}::${targetId}::${wasOfficer ? 1 : 0}`).setLabel("Undo").setStyle(ButtonStyle.Secondary)
+    );
+    return interaction.update({ content: "", embeds: [embed], components: [row] });
+  }
+
+  // undo: put them back if nothing has changed in the meantime
+  const elsewhere = findUserTeam(scope, targetId);
+  if (elsewhere) return interaction.update({ content: `<@${targetId}> is already in **${elsewhere.name}**, so the removal can't be undone.`, embeds: [], components: [] });
+  if (team.members.length >= getGuildConfig(scope).maxTeamSize) {
+    return interaction.update({ content: `**${team.name}** is full, so the removal can't be undone.`, embeds: [], components: [] });
+  }
+
+  team.members.push(targetId);
+  const restoreOfficer = wasOfficerFlag === "1";
+  if (restoreOfficer) team.officers = [...(team.officers || []), targetId];
+  await saveData(data);
+  if (guild) {
+    await grantMemberChannelAccess(guild, team, targetId, `Removal from ${team.name} undone`);
+    if (restoreOfficer) await setRankOverwrites(guild, team, targetId, true, `Removal from ${team.name} undone`);
+  }
+  await logTeamEvent(data, guildId, { type: "member.added", team, actorId, targetId, reason: "Removal undone" });
+  if (targetUser) targetUser.send(`Your removal from **${team.name}** was undone — you are back on the team.`).catch(()=>null);
+
+  const embed = new EmbedBuilder()
+    .setTitle("Removal undone")
+    .setDescription(`<@${targetId}> is back in **${team.name}**.`)
+    .setTimestamp();
+  return interaction.update({ content: "", embeds: [embed], components: [] });
+}
+
+// "Keep team" on an idle warning: any team member (or staff in the server) can press it
+async function handleIdleKeepButton(interaction, data, teamId) {
+  const found = findTeamAnywhere(data, teamId);
+  if (!found) return interaction.reply({ content: "That team no longer exists.", ephemeral: true });
+  const { guildId, scope, team } = found;
+  if (!team.idleWarning) return interaction.reply({ content: `**${team.name}** is not scheduled for cleanup.`, ephemeral: true });
+
+  const staff = interaction.guildId === guildId && isStaff(interaction, getGuildConfig(scope));
+  if (!team.members.includes(interaction.user.id) && !staff) {
+    return interaction.reply({ content: "Only members of this team can keep it.", ephemeral: true });
+  }
+
+  await markTeamActive(data, team, `Kept by ${interaction.user.tag}.`);
+  await logTeamEvent(data, guildId, { type: "team.kept", team, actorId: interaction.user.id });
+  return interaction.reply({ content: `**${team.name}** will be kept. Thanks!`, ephemeral: true });
+}
+
+// /teamlist prev/next (teamlist_page::<page>::<openOnly 0|1>::<name filter>)
+async function handleTeamListButton(interaction, data) {
+  if (!interaction.guildId) return interaction.reply({ content: "Team lists only work inside a server.", ephemeral: true });
+  const [, page, openOnly, ...nameParts] = interaction.customId.split("::");
+  const scope = guildData(data, interaction.guildId);
+  const view = buildTeamListPage(scope, getGuildConfig(scope), {
+    page: Number(page) || 0,
+    openOnly: openOnly === "1",
+    nameFilter: nameParts.join("::")
+  });
+  return interaction.update(view);
+}
+
+// /leaderboard prev/next (leaderboard_page::<page>)
+async function handleLeaderboardButton(interaction, data, page) {
+  if (!interaction.guildId) return interaction.reply({ content: "Leaderboards only work inside a server.", ephemeral: true });
+  return interaction.update(buildLeaderboardPage(guildData(data, interaction.guildId), Number(page) || 0));
+}
+
+// Match report confirmation (match_confirm / match_dispute), answered by the opposing leader
+async function handleMatchButton(interaction, data, action, matchId) {
+  const found = findGuildRecord(data, "matches", matchId);
+  const scope = found?.scope;
+  const match = found?.record;
+  if (!match || match.status !== "pending") return interaction.reply({ content: "Match report not found or already handled.", ephemeral: true });
+
+  const teamA = scope.teams[match.teamAId];
+  const teamB = scope.teams[match.teamBId];
+  if (!teamA || !teamB) {
+    match.status = "cancelled";
+    await saveData(data);
+    await scheduler.cancel(matchExpiryJobId(match.id));
+    await disableMatchButtons(match, "Cancelled — a team no longer exists");
+    return interaction.reply({ content: "This match can no longer be confirmed because one of the teams was disbanded.", ephemeral: true });
+  }
+  if (interaction.user.id !== teamB.leaderId) {
+    return interaction.reply({ content: `Only the leader of **${teamB.name}** may confirm or dispute this result.`, ephemeral: true });
+  }
+
+  await scheduler.cancel(matchExpiryJobId(match.id));
+  const reporter = await client.users.fetch(match.reportedBy).catch(()=>null);
+
+  if (action === "match_confirm") {
+    applyMatchResult(match, teamA, teamB);
+    await saveData(data);
+    await disableMatchButtons(match, `Confirmed ✅ · ${teamA.name} ${match.ratingDelta >= 0 ? "+" : ""}${match.ratingDelta}, ${teamB.name} ${-match.ratingDelta >= 0 ? "+" : ""}${-match.ratingDelta}`);
+    for (const [team, opponent, result] of [[teamA, teamB, match.result], [teamB, teamA, invertResult(match.result)]]) {
+      await logTeamEvent(data, found.guildId, {
+        type: "match.played",
+        team,
+        actorId: interaction.user.id,
+        before: `${result} vs ${opponent.name}${match.score ? ` (${match.score})` : ""}`,
+        after: `rating ${teamRating(team)}`
+      });
+    }
+
+    if (reporter) reporter.send(`**${teamB.name}** confirmed your match report. **${teamA.name}** is now rated ${teamRating(teamA)}.`).catch(()=>null);
+    return interaction.reply({ content: `Result confirmed. **${teamB.name}** is now rated ${teamRating(teamB)}.`, ephemeral: true });
+  }
+
+  match.status = "disputed";
+  await saveData(data);
+  await disableMatchButtons(match, "Disputed ❌");
+
+  if (reporter) reporter.send(`**${teamB.name}** disputed your match report. Sort it out with them (or server staff) and report it again.`).catch(()=>null);
+  return interaction.reply({ content: "You disputed the result. Ratings were not changed.", ephemeral: true });
+}
+
+// Scrim proposal answer (scrim_accept / scrim_decline), by the proposed opponent's leader
+async function handleScrimButton(interaction, data, action, scrimId) {
+  const found = findGuildRecord(data, "scrims", scrimId);
+  const scope = found?.scope;
+  const scrim = found?.record;
+  if (!scrim || scrim.status !== "pending") return interaction.reply({ content: "Scrim proposal not found or already answered.", ephemeral: true });
+
+  const teams = scrimTeams(scope, scrim);
+  if (!teams) {
+    await saveData(data);
+    await cancelScrimJobs(scrim.id);
+    await disableScrimButtons(scrim, "Cancelled — a team no longer exists");
+    return interaction.reply({ content: "This scrim can no longer happen because one of the teams was disbanded.", ephemeral: true });
+  }
+  const { teamA, teamB } = teams;
+  if (interaction.user.id !== teamB.leaderId) {
+    return interaction.reply({ content: `Only the leader of **${teamB.name}** may answer this proposal.`, ephemeral: true });
+  }
+
+  await scheduler.cancel(scrimJobId(scrim.id, "expire"));
+  const proposer = await client.users.fetch(scrim.proposedBy).catch(()=>null);
+
+  if (action === "scrim_accept") {
+    if (new Date(scrim.startsAt).getTime() <= Date.now()) {
+      scrim.status = "expired";
+      await saveData(data);
+      await disableScrimButtons(scrim, "Expired — not answered before the start time");
+      return interaction.reply({ content: "This scrim's start time has already passed.", ephemeral: true });
+    }
+    scrim.status = "accepted";
+    await saveData(data);
+    await scheduleScrimJobs(found.guildId, scrim);
+    await disableScrimButtons(scrim, "Scrim accepted ✅");
+
+    const guild = interaction.guild || await client.guilds.fetch(found.guildId).catch(()=>null);
+    if (guild) {
+      const when = `${toTimestamp(scrim.startsAt, "f")} (${toTimestamp(scrim.startsAt)}), ${scrim.durationMinutes} min`;
+      await postTeamNotice(guild, teamA, `📅 Scrim against **${teamB.name}** scheduled for ${when}.${scrim.note ? `\nNote: ${scrim.note}` : ""}`);
+      await postTeamNotice(guild, teamB, `📅 Scrim against **${teamA.name}** scheduled for ${when}.${scrim.note ? `\nNote: ${scrim.note}` : ""}`);
+    }
+    if (proposer) proposer.send(`**${teamB.name}** accepted your scrim for ${toTimestamp(scrim.startsAt, "f")}.`).catch(()=>null);
+    return interaction.reply({ content: `Scrim accepted: ${describeScrim(scrim)}.`, ephemeral: true });
+  }
+
+  scrim.status = "declined";
+  await saveData(data);
+  await disableScrimButtons(scrim, "Scrim declined ❌");
+
+  if (proposer) proposer.send(`**${teamB.name}** declined your scrim proposal.`).catch(()=>null);
+  return interaction.reply({ content: `You declined the scrim against **${teamA.name}**.`, ephemeral: true });
+}
+
+// Leadership transfer confirmation (transfer_accept / transfer_decline)
+async function handleTransferButton(interaction, data, action, transferId) {
+  const found = findGuildRecord(data, "transfers", transferId);
+  const scope = found?.scope;
+  const transfer = found?.record;
+  if (!transfer || transfer.status !== "pending") return interaction.reply({ content: "Transfer request not found or already handled.", ephemeral: true });
+
+  // Only the proposed new leader may press the buttons
+  if (interaction.user.id !== transfer.toId) {
+    return interaction.reply({ content: "Only the proposed new leader may accept or decline this transfer.", ephemeral: true });
+  }
+
+  await scheduler.cancel(transferExpiryJobId(transfer.id));
+  // the expiry job may not have run yet (e.g. the bot was offline)
+  if (new Date(inviteExpiresAt(transfer)).getTime() <= Date.now()) {
+    transfer.status = "expired";
+    await saveData(data);
+    await disableTransferButtons(interaction.client, transfer, "Transfer expired");
+    return interaction.reply({ content: "This transfer request has expired. Ask the leader to send a new one.", ephemeral: true });
+  }
+
+  const team = scope.teams[transfer.teamId];
+  if (!team || team.leaderId !== transfer.fromId || !team.members.includes(transfer.toId)) {
+    transfer.status = "cancelled";
+    await saveData(data);
+    await disableTransferButtons(interaction.client, transfer, "Transfer is no longer valid");
+    return interaction.reply({ content: "This transfer is no longer valid (the team, its leader or your membership changed).", ephemeral: true });
+  }
+
+  if (action === "transfer_accept") {
+    const guild = interaction.guild || (team.guildId ? await interaction.client.guilds.fetch(team.guildId).catch(()=>null) : null);
+    await transferLeadership(guild, team, transfer.toId);
+    transfer.status = "accepted";
+    await saveData(data);
+    await disableTransferButtons(interaction.client, transfer, "Transfer accepted ✅");
+    await logTeamEvent(data, found.guildId, { type: "team.leader", team, actorId: transfer.fromId, before: `<@${transfer.fromId}>`, after: `<@${transfer.toId}>` });
+
+    const oldLeader = await client.users.fetch(transfer.fromId).catch(()=>null);
+    if (oldLeader) oldLeader.send(`<@${transfer.toId}> is now the leader of **${team.name}**.`).catch(()=>null);
+
+    return interaction.reply({ content: `You are now the leader of **${team.name}**.`, ephemeral: true });
+  }
+
+  transfer.status = "declined";
+  await saveData(data);
+  await disableTransferButtons(interaction.client, transfer, "Transfer declined ❌");
+
+  const oldLeader = await client.users.fetch(transfer.fromId).catch(()=>null);
+  if (oldLeader) oldLeader.send(`<@${transfer.toId}> declined leadership of **${team.name}**.`).catch(()=>null);
+
+  return interaction.reply({ content: `You declined leadership of **${team.name}**.`, ephemeral: true });
+}
+
+// ----------------- Guild event handlers -----------------
+
+// Post a notice in a team's text channel (best-effort)
+async function postTeamNotice(guild, team, text) {
+  if (!team.textChannelId) return;
+  const channel = await guild.channels.fetch(team.textChannelId).catch(()=>null);
+  if (channel?.isTextBased()) await channel.send(text).catch(()=>null);
+}
+
+client.on("guildMemberRemove", async (member) => {
+  try {
+    const data = await loadData();
+    if (!data.guilds[member.guild.id]) return;
+    const scope = guildData(data, member.guild.id);
+
+    // transfers to or from them can no longer complete
+    for (const transfer of scope.transfers.filter(t => t.status === "pending" && (t.toId === member.id || t.fromId === member.id))) {
+      transfer.status = "cancelled";
+      await disableTransferButtons(client, transfer, "Member left the server");
+    }
+    // invites to them from other teams are dead too
+    for (const invite of scope.invites.filter(inv => inv.invitedId === member.id && inv.status === "pending")) {
+      invite.status = "cancelled";
+      await disableInviteButtons(client, invite, "Invitee left the server");
+    }
+
+    const team = findUserTeam(scope, member.id);
+    if (!team) {
+      await saveData(data);
+      return;
+    }
+
+    const outcome = await removeDepartedMember(member.guild, scope, team, member.id, `${member.user?.tag || member.id} left the server`);
+    await saveData(data);
+    await logTeamEvent(data, member.guild.id, { type: outcome === "disbanded" ? "team.deleted" : "member.left", team, targetId: member.id, reason: "Left the server" });
+
+    if (outcome === "disbanded") return;
+    if (outcome === "promoted") {
+      await logTeamEvent(data, member.guild.id, { type: "team.leader", team, before: `<@${member.id}>`, after: `<@${team.leaderId}>`, reason: "Previous leader left the server" });
+      await postTeamNotice(member.guild, team, `<@${member.id}> left the server and was removed from **${team.name}**. <@${team.leaderId}> is the new leader.`);
+    } else {
+      await postTeamNotice(member.guild, team, `<@${member.id}> left the server and was removed from **${team.name}**.`);
+    }
+  } catch (err) {
+    console.error("guildMemberRemove handler error:", err);
+  }
+});
+
+// A team channel or role was deleted by hand: recreate it through the reconciliation path
+async function repairTeamAfterDeletion(guild, resourceId, what) {
+  if (selfDeletedIds.delete(resourceId)) return;
+
+  const data = await loadData();
+  if (!data.guilds[guild.id]) return;
+  const scope = guildData(data, guild.id);
+  const team = Object.values(scope.teams).find(t => [t.textChannelId, t.voiceChannelId, t.roleId].includes(resourceId));
+  if (!team) return;
+
+  const changes = await reconcileTeam(guild, scope, team, getGuildConfig(scope));
+  await saveData(data);
+  if (changes.length === 0) return;
+
+  const stillExists = Boolean(scope.teams[team.teamId]);
+  await logTeamEvent(data, guild.id, { type: stillExists ? "team.synced" : "team.deleted", team, after: changes.join(", ").slice(0, 1000), reason: `${what} was deleted` });
+  if (stillExists) await postTeamNotice(guild, team, `The team ${what} was deleted, so it was restored: ${changes.join(", ")}.`);
+}
+
+// Team activity: messages in a team text channel and joining a team voice channel
+client.on("messageCreate", async (message) => {
+  if (!message.guild || message.author.bot) return;
+  try {
+    const data = await loadData();
+    if (!data.guilds[message.guild.id]) return;
+    const team = Object.values(guildData(data, message.guild.id).teams).find(t => t.textChannelId === message.channelId);
+    if (team) await markTeamActive(data, team);
+  } catch (err) {
+    console.error("messageCreate handler error:", err);
+  }
+});
+
+client.on("voiceStateUpdate", async (oldState, newState) => {
+  if (!newState.channelId || newState.channelId === oldState.channelId || newState.member?.user.bot) return;
+  try {
+    const data = await loadData();
+    if (!data.guilds[newState.guild.id]) return;
+    const team = Object.values(guildData(data, newState.guild.id).teams).find(t => t.voiceChannelId === newState.channelId);
+    if (team) await markTeamActive(data, team);
+  } catch (err) {
+    console.error("voiceStateUpdate handler error:", err);
+  }
+});
+
+client.on("channelDelete", async (channel) => {
+  if (!channel.guild) return;
+  try {
+    await repairTeamAfterDeletion(channel.guild, channel.id, channel.isVoiceBased() ? "voice channel" : "text channel");
+  } catch (err) {
+    console.error("channelDelete handler error:", err);
+  }
 });
 
-// register commands and login
+client.on("roleDelete", async (role) => {
+  try {
+    await repairTeamAfterDeletion(role.guild, role.id, "role");
+  } catch (err) {
+    console.error("roleDelete handler error:", err);
+  }
+});
+
+// flush pending writes before exiting
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, async () => {
+    scheduler.stop();
+    client.destroy();
+    await storage.close().catch(err => console.error("Failed to flush storage:", err));
+    process.exit(0);
+  });
+}
+
+// register commands and login; data is loaded once the client is ready
 (async () => {
   await registerCommands();
   client.login(TOKEN);
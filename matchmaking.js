@@ -0,0 +1,115 @@
+// matchmaking.js
+/**
+ * Free-agent grouping for /teamautofill.
+ *
+ * Pure and deterministic: the same pool and teams always give the same plan,
+ * whatever order they were passed in. Nothing in here talks to Discord or storage.
+ *
+ * Agent:  { userId, joinedAt (ISO), role?, skill? (1-10), utcOffset? (minutes) }
+ * Team:   { teamId, name, openSlots, roles? (role tags of its current members) }
+ *
+ * Whoever has waited longest is placed first: top-ups take from the front of
+ * the queue, and when leftovers can't all form teams it's the newest arrivals
+ * who stay in the pool, whatever their timezone.
+ */
+
+// "UTC+2", "GMT-5:30", "+03:00", "utc" -> offset in minutes, or null if it isn't one
+export function parseUtcOffset(text) {
+  const match = String(text || "").trim().match(/^(?:utc|gmt)?\s*(?:([+-])\s*(\d{1,2})(?::?(\d{2}))?)?$/i);
+  if (!match || (!match[1] && !/^(utc|gmt)$/i.test(String(text).trim()))) return null;
+  if (!match[1]) return 0;
+  const minutes = Number(match[2]) * 60 + Number(match[3] || 0);
+  if (minutes > 14 * 60 || Number(match[3] || 0) >= 60) return null;
+  return match[1] === "-" ? -minutes : minutes;
+}
+
+export function formatUtcOffset(minutes) {
+  if (minutes === null || minutes === undefined) return "unknown";
+  const sign = minutes < 0 ? "-" : "+";
+  const abs = Math.abs(minutes);
+  const mm = abs % 60;
+  return `UTC${sign}${Math.floor(abs / 60)}${mm ? `:${String(mm).padStart(2, "0")}` : ""}`;
+}
+
+// oldest first; user id breaks ties so equal timestamps still sort the same way
+function byQueueOrder(a, b) {
+  return a.joinedAt.localeCompare(b.joinedAt) || a.userId.localeCompare(b.userId);
+}
+
+// How well candidate fits a group started by seed: same timezone first, then the
+// nearest; agents without a timezone fit anyone, but after everyone with a known one
+function timezoneDistance(seed, candidate) {
+  if (seed.utcOffset === null || seed.utcOffset === undefined) return 0;
+  if (candidate.utcOffset === null || candidate.utcOffset === undefined) return Infinity;
+  return Math.abs(seed.utcOffset - candidate.utcOffset);
+}
+
+// Split agents (in queue order) into groups of size: each group starts with the
+// longest-waiting agent left and is filled with the agents nearest to them in timezone
+function groupByTimezone(agents, size) {
+  const remaining = [...agents];
+  const groups = [];
+  while (remaining.length > 0) {
+    const seed = remaining.shift();
+    const rest = remaining
+      .map((agent, index) => ({ agent, index, distance: timezoneDistance(seed, agent) }))
+      .sort((a, b) => a.distance - b.distance || a.index - b.index)
+      .slice(0, size - 1);
+    for (const { agent } of rest) remaining.splice(remaining.indexOf(agent), 1);
+    groups.push([seed, ...rest.map(r => r.agent)]);
+  }
+  return groups;
+}
+
+// highest skill leads; unrated players count as 0
+function pickLeader(group) {
+  return [...group].sort((a, b) => (b.skill ?? 0) - (a.skill ?? 0) || byQueueOrder(a, b))[0].userId;
+}
+
+/**
+ * Plan placements.
+ * @param {object} options
+ * @param {object[]} options.agents
+ * @param {object[]} options.teams        existing teams that may take more members
+ * @param {number} options.teamSize       size of new teams
+ * @param {number} [options.minSize]      smallest new team worth creating (default 2)
+ * @param {"both"|"topup"|"new"} [options.mode]
+ * @returns {{ topUps: {teamId, userIds}[], newTeams: {leaderId, userIds}[], unplaced: string[] }}
+ */
+export function planAutofill({ agents, teams, teamSize, minSize = 2, mode = "both" }) {
+  let queue = [...agents].sort(byQueueOrder);
+  const topUps = [];
+  const newTeams = [];
+
+  // 1. top up existing teams, fullest-gap first; prefer players whose role the team doesn't have yet
+  if (mode !== "new") {
+    const open = teams
+      .filter(t => t.openSlots > 0)
+      .sort((a, b) => b.openSlots - a.openSlots || a.name.localeCompare(b.name) || a.teamId.localeCompare(b.teamId));
+    for (const team of open) {
+      const roles = new Set((team.roles || []).map(r => r.toLowerCase()));
+      const picked = [];
+      while (picked.length < team.openSlots && queue.length > 0) {
+        const index = Math.max(queue.findIndex(a => a.role && !roles.has(a.role.toLowerCase())), 0);
+        const [agent] = queue.splice(index, 1);
+        if (agent.role) roles.add(agent.role.toLowerCase());
+        picked.push(agent.userId);
+      }
+      if (picked.length > 0) topUps.push({ teamId: team.teamId, userIds: picked });
+    }
+  }
+
+  // 2. group the rest into new teams of players in neighbouring timezones; if the last
+  //    group would be too small, the newest arrivals wait for the next run instead
+  if (mode !== "topup") {
+    const size = Math.max(teamSize, 1);
+    const leftover = queue.length % size;
+    const placeable = leftover >= Math.min(minSize, size) ? queue.length : queue.length - leftover;
+    for (const group of groupByTimezone(queue.slice(0, placeable), size)) {
+      newTeams.push({ leaderId: pickLeader(group), userIds: group.map(a => a.userId) });
+    }
+    queue = queue.slice(placeable);
+  }
+
+  return { topUps, newTeams, unplaced: queue.sort(byQueueOrder).map(a => a.userId) };
+}
@@ -0,0 +1,137 @@
+// namePolicy.js
+/**
+ * Team name rules for /teamcreate, /teamnamechange, /teamadmin rename, /teamimport and /teamautofill.
+ *
+ * A name is first normalized (Unicode NFKC, invisible characters removed,
+ * whitespace collapsed), then checked for length, mentions, blocked words and
+ * reserved names. Both are matched on a "folded" form (lower case, accents
+ * removed, common digit/symbol look-alikes mapped back to letters), so "Ad.m1n"
+ * or "ＡＤＭＩＮ" don't get around them. Blocked words must match a whole word of
+ * the name (plus common endings like -s or -ing), so "Scunthorpe United" is fine;
+ * runs of single letters ("s.h.i.t") are read as one word.
+ *
+ * Two teams whose names sanitize to the same channel name would share a role
+ * name and channel names, so such names count as taken even if they differ
+ * ("Team #1" and "team 1" both become team-1). Nothing in here talks to Discord.
+ */
+
+export const NAME_MIN_LENGTH = 2;
+export const NAME_MAX_LENGTH = 32;
+
+// words a fresh guild blocks; admins edit the list per guild with /teamconfig
+export const DEFAULT_NAME_BLOCKLIST = ["fuck", "shit", "bitch", "cunt", "whore", "slut", "nigger", "faggot", "retard", "nazi"];
+
+// names that would pass for the server's own staff or Discord itself
+export const RESERVED_NAMES = ["admin", "administrator", "moderator", "mod", "mods", "staff", "owner", "server", "discord", "system", "bot", "everyone", "here", "team", "teams"];
+
+const LOOKALIKES = { 0: "o", 1: "i", 3: "e", 4: "a", 5: "s", 7: "t", 8: "b", "@": "a", $: "s", "!": "i", "|": "i" };
+const MENTION = /<(?:@[!&]?|#)\d+>|@(?:everyone|here)\b/i;
+// control and format characters (zero-width spaces, direction overrides, ...)
+const INVISIBLE = /[\p{Cc}\p{Cf}]/gu;
+
+// Lower-case channel/role name part for a team (letters of any script, digits, - and _);
+// "team" when nothing usable is left
+export function sanitizeChannelName(name) {
+  return name.toLowerCase().replace(/[^\p{L}\p{M}\p{N}\-_ ]/gu, "").replace(/\s+/g, "-").slice(0, 90) || "team";
+}
+
+// What two names must not share: the sanitized channel name, with Discord's dash collapsing applied
+export function teamNameKey(name) {
+  return sanitizeChannelName(normalizeTeamName(name)).replace(/-{2,}/g, "-").replace(/^-|-$/g, "") || "team";
+}
+
+export function normalizeTeamName(raw) {
+  return String(raw ?? "").normalize("NFKC").replace(INVISIBLE, "").replace(/\s+/g, " ").trim();
+}
+
+// Matching form for blocked/reserved words: "Ad.m1n" -> "admin"
+export function foldName(text) {
+  return normalizeTeamName(text)
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .replace(/[0134578@$!|]/g, ch => LOOKALIKES[ch])
+    .replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+// endings that still count as the blocked word ("shits", "fucking")
+const WORD_ENDINGS = ["", "s", "es", "ed", "er", "ers", "ing", "in", "y", "ty", "ies"];
+// a word of the name; look-alike symbols count as letters so "$hit" stays one word
+const WORD = /[\p{L}\p{M}\p{N}@$!|]+/gu;
+
+// The words of a name as { text (as written), folded }; runs of single characters are joined
+function nameWords(name) {
+  const words = [];
+  let run = [];
+  const flushRun = () => {
+    if (run.length > 1) {
+      const first = run[0];
+      const last = run[run.length - 1];
+      words.push({ text: name.slice(first.index, last.index + last[0].length), folded: run.map(m => foldName(m[0])).join("") });
+    }
+    run = [];
+  };
+  for (const match of name.matchAll(WORD)) {
+    words.push({ text: match[0], folded: foldName(match[0]) });
+    if ([...match[0]].length === 1) run.push(match);
+    else flushRun();
+  }
+  flushRun();
+  return words;
+}
+
+// The part of name (as written) that is a blocked word, or null
+export function findBlockedWord(name, blocklist) {
+  const words = nameWords(normalizeTeamName(name));
+  for (const word of words) {
+    if (blocklist.some(blocked => blocked && WORD_ENDINGS.some(ending => word.folded === blocked + ending))) return word.text;
+  }
+  return null;
+}
+
+// Blocklist entries from admin input ("a, b c") -> folded, de-duplicated words
+export function parseBlocklist(text) {
+  return [...new Set(String(text || "").split(/[,\s]+/).map(foldName).filter(Boolean))];
+}
+
+// The existing name that name collides with, or null
+export function findNameCollision(name, takenNames) {
+  const key = teamNameKey(name);
+  return takenNames.find(other => teamNameKey(other) === key) ?? null;
+}
+
+/**
+ * Check a proposed team name.
+ * @param {string} raw
+ * @param {object} [rules]
+ * @param {string[]} [rules.blocklist]   folded words that may not be a word of the name
+ * @param {string[]} [rules.takenNames]  names of the other teams (leave out the team being renamed)
+ * @returns {{ name: string, error: null } | { name: string, error: string, code: string }}
+ *   name is the normalized name to store; code is one of
+ *   "length", "mention", "blocked", "reserved", "collision"
+ */
+export function checkTeamName(raw, { blocklist = DEFAULT_NAME_BLOCKLIST, takenNames = [] } = {}) {
+  const name = normalizeTeamName(raw);
+  const fail = (code, error) => ({ name, error, code });
+
+  const length = [...name].length;
+  if (length < NAME_MIN_LENGTH || length > NAME_MAX_LENGTH) {
+    return fail("length", `Team names must be ${NAME_MIN_LENGTH}-${NAME_MAX_LENGTH} characters long (that one is ${length}).`);
+  }
+  if (MENTION.test(name)) return fail("mention", "Team names can't contain mentions (@everyone, @here, users, roles or channels).");
+
+  const blocked = findBlockedWord(name, blocklist);
+  if (blocked !== null) return fail("blocked", `"${blocked}" isn't allowed in team names on this server. Please choose a different name.`);
+  const folded = foldName(name);
+  if (RESERVED_NAMES.includes(folded)) return fail("reserved", `"${name}" is reserved. Please pick a different name.`);
+
+  const clash = findNameCollision(name, takenNames);
+  if (clash !== null) {
+    const sameName = clash.toLowerCase() === name.toLowerCase();
+    return fail("collision", sameName
+      ? `A team named "${clash}" already exists. Please choose a different name.`
+      : `"${name}" is too similar to the existing team "${clash}": both would use the channel and role name \`${teamNameKey(name)}\`. Please choose a different name.`);
+  }
+
+  return { name, error: null };
+}
@@ -0,0 +1,37 @@
+// rating.js
+/**
+ * Elo ratings for team matches.
+ *
+ * Every team starts at DEFAULT_RATING. After a match both ratings move by
+ * K_FACTOR * (actual score - expected score), rounded, so the total number of
+ * points in the system stays the same. Scores are from team A's point of view:
+ * 1 = win, 0.5 = draw, 0 = loss. Nothing in here talks to Discord or storage.
+ */
+
+export const DEFAULT_RATING = 1000;
+export const K_FACTOR = 32;
+
+export const MATCH_SCORES = { win: 1, draw: 0.5, loss: 0 };
+
+// Chance (0-1) that a team rated ratingA beats a team rated ratingB
+export function expectedScore(ratingA, ratingB) {
+  return 1 / (1 + 10 ** ((ratingB - ratingA) / 400));
+}
+
+/**
+ * @param {number} ratingA
+ * @param {number} ratingB
+ * @param {"win"|"draw"|"loss"} result  from team A's point of view
+ * @param {number} [k]
+ * @returns {{ a: number, b: number, delta: number }}  new ratings and A's change (B changed by -delta)
+ */
+export function rateMatch(ratingA, ratingB, result, k = K_FACTOR) {
+  if (!(result in MATCH_SCORES)) throw new Error(`Unknown match result "${result}"`);
+  const delta = Math.round(k * (MATCH_SCORES[result] - expectedScore(ratingA, ratingB)));
+  return { a: ratingA + delta, b: ratingB - delta, delta };
+}
+
+// The same result seen from the other team
+export function invertResult(result) {
+  return result === "win" ? "loss" : result === "loss" ? "win" : "draw";
+}
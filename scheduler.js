@@ -0,0 +1,147 @@
+// scheduler.js
+/**
+ * Persistent job scheduler.
+ *
+ * Jobs live in the stored data document (an array of plain objects), so they
+ * survive restarts: on start() every stored job is re-armed, and jobs whose
+ * time passed while the bot was offline run immediately.
+ *
+ * Job shape:
+ *   { id, type, runAt (ISO string), payload, intervalMs? }
+ * Jobs with intervalMs are recurring and are re-queued after each run.
+ *
+ * Only one timer is armed at a time (for the earliest job). The clock is
+ * injectable so tests can drive time by hand:
+ *   { now(): number, setTimeout(fn, ms): handle, clearTimeout(handle) }
+ */
+
+// setTimeout overflows past ~24.8 days; longer waits are done in hops
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+export const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: handle => clearTimeout(handle)
+};
+
+export class JobScheduler {
+  /**
+   * @param {object} options
+   * @param {() => Promise<object[]>} options.getJobs  returns the live, stored job array
+   * @param {() => Promise<void>} options.persist      saves the document holding the jobs
+   * @param {object} [options.clock]                   see systemClock
+   */
+  constructor({ getJobs, persist, clock = systemClock }) {
+    this.getJobs = getJobs;
+    this.persist = persist;
+    this.clock = clock;
+    this.handlers = new Map();
+    this.timer = null;
+    this.running = false;
+    this.started = false;
+  }
+
+  // handler(job) is called when a job of this type is due
+  register(type, handler) {
+    this.handlers.set(type, handler);
+    return this;
+  }
+
+  async start() {
+    this.started = true;
+    await this.runDue();
+  }
+
+  stop() {
+    this.started = false;
+    if (this.timer) this.clock.clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  // Add or replace (same id) a job. runAt may be a Date, ISO string or epoch ms.
+  async schedule({ id, type, runAt, payload = {}, intervalMs }) {
+    const jobs = await this.getJobs();
+    const job = { id, type, runAt: new Date(runAt).toISOString(), payload };
+    if (intervalMs) job.intervalMs = intervalMs;
+
+    const existing = jobs.findIndex(j => j.id === id);
+    if (existing >= 0) jobs[existing] = job;
+    else jobs.push(job);
+
+    await this.persist();
+    await this.arm();
+    return job;
+  }
+
+  // Schedule a recurring job only if it isn't stored yet (keeps its next run across restarts)
+  async ensureRecurring({ id, type, intervalMs, payload = {} }) {
+    const jobs = await this.getJobs();
+    const existing = jobs.find(j => j.id === id);
+    if (existing && existing.intervalMs === intervalMs) return existing;
+    return this.schedule({ id, type, runAt: this.clock.now() + intervalMs, payload, intervalMs });
+  }
+
+  async cancel(id) {
+    const jobs = await this.getJobs();
+    const index = jobs.findIndex(j => j.id === id);
+    if (index < 0) return false;
+    jobs.splice(index, 1);
+    await this.persist();
+    await this.arm();
+    return true;
+  }
+
+  async has(id) {
+    return (await this.getJobs()).some(j => j.id === id);
+  }
+
+  // Run every job that is due, oldest first, then arm the timer for the next one.
+  async runDue() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      const jobs = await this.getJobs();
+      for (;;) {
+        const now = this.clock.now();
+        const due = jobs
+          .filter(j => new Date(j.runAt).getTime() <= now)
+          .sort((a, b) => new Date(a.runAt) - new Date(b.runAt))[0];
+        if (!due) break;
+
+        // take the job off the queue before running it so a failing handler can't loop forever
+        jobs.splice(jobs.indexOf(due), 1);
+        if (due.intervalMs) jobs.push({ ...due, runAt: new Date(now + due.intervalMs).toISOString() });
+        await this.persist();
+
+        const handler = this.handlers.get(due.type);
+        if (!handler) {
+          console.warn(`No handler registered for job type "${due.type}" (job ${due.id})`);
+          continue;
+        }
+        try {
+          await handler(due);
+        } catch (err) {
+          console.error(`Job ${due.id} (${due.type}) failed:`, err);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+    await this.arm();
+  }
+
+  async arm() {
+    if (!this.started) return;
+    if (this.timer) this.clock.clearTimeout(this.timer);
+    this.timer = null;
+
+    const jobs = await this.getJobs();
+    if (jobs.length === 0) return;
+    const next = Math.min(...jobs.map(j => new Date(j.runAt).getTime()));
+    const delay = Math.min(Math.max(next - this.clock.now(), 0), MAX_TIMER_MS);
+    this.timer = this.clock.setTimeout(() => {
+      this.timer = null;
+      this.runDue().catch(err => console.error("Scheduler run failed:", err));
+    }, delay);
+  }
+}
@@ -0,0 +1,19 @@
+// storage/common.js
+// Shared pieces for the storage backends.
+
+export class StorageError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "StorageError";
+  }
+}
+
+// Runs async tasks one at a time, in call order. A failed task doesn't block later ones.
+export function createWriteQueue() {
+  let tail = Promise.resolve();
+  return function enqueue(task) {
+    const run = tail.then(task);
+    tail = run.catch(() => {});
+    return run;
+  };
+}
@@ -0,0 +1,32 @@
+// storage/index.js
+/**
+ * Pluggable persistence for the bot's data document.
+ *
+ * Every backend implements the same interface:
+ *   load()      -> Promise<object|null>   the stored document, or null if nothing is stored yet
+ *   save(data)  -> Promise<void>          persist the whole document; calls are serialized
+ *   close()     -> Promise<void>          flush pending writes and release resources
+ *
+ * Backends throw StorageError when stored data can't be read, instead of
+ * falling back to an empty document (which would wipe every team on the next save).
+ */
+
+import { StorageError } from "./common.js";
+import { JsonFileStorage } from "./jsonFileStorage.js";
+
+export { StorageError };
+
+// driver: "json" (default) or "sqlite"
+export async function createStorage({ driver = "json", jsonPath, sqlitePath } = {}) {
+  switch (driver) {
+    case "json":
+      return new JsonFileStorage(jsonPath);
+    case "sqlite": {
+      // loaded lazily so better-sqlite3 stays an optional dependency
+      const { SqliteStorage } = await import("./sqliteStorage.js");
+      return SqliteStorage.open(sqlitePath);
+    }
+    default:
+      throw new StorageError(`Unknown storage driver "${driver}" (expected "json" or "sqlite").`);
+  }
+}
@@ -0,0 +1,76 @@
+// storage/jsonFileStorage.js
+/**
+ * Stores the data document as pretty-printed JSON in a single file.
+ *
+ * Writes are atomic: the document goes to a temp file next to the target,
+ * is fsynced, and then renamed over it, so a crash mid-write leaves either the
+ * old or the new file — never a truncated one. The previous version is kept as
+ * <file>.bak. Saves are serialized, so concurrent callers can't interleave writes.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { StorageError, createWriteQueue } from "./common.js";
+
+export class JsonFileStorage {
+  constructor(filePath) {
+    if (!filePath) throw new StorageError("JsonFileStorage needs a file path.");
+    this.filePath = filePath;
+    this.backupPath = `${filePath}.bak`;
+    this.enqueue = createWriteQueue();
+  }
+
+  async load() {
+    let raw;
+    try {
+      raw = await fs.readFile(this.filePath, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw new StorageError(`Could not read ${this.filePath}: ${err.message}`, { cause: err });
+    }
+
+    // an empty file is what a fresh checkout or `touch` gives you; treat it as "nothing stored"
+    if (!raw.trim()) return null;
+
+    try {
+      return JSON.parse(raw);
+    } catch (err) {
+      throw new StorageError(
+        `${this.filePath} is not valid JSON (${err.message}). ` +
+        `Refusing to continue so existing teams are not overwritten. ` +
+        `Fix the file or restore the last good copy from ${this.backupPath}.`,
+        { cause: err }
+      );
+    }
+  }
+
+  save(data) {
+    // serialize now so later mutations of `data` don't leak into this write
+    const json = JSON.stringify(data, null, 2);
+    return this.enqueue(() => this.writeAtomic(json));
+  }
+
+  async writeAtomic(json) {
+    const dir = path.dirname(this.filePath);
+    const tmpPath = path.join(dir, `.${path.basename(this.filePath)}.${process.pid}.tmp`);
+
+    const handle = await fs.open(tmpPath, "w");
+    try {
+      await handle.writeFile(json, "utf8");
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    // keep the previous good version around; it's only missing on the very first save
+    await fs.copyFile(this.filePath, this.backupPath).catch(err => {
+      if (err.code !== "ENOENT") console.warn("Failed to back up data file:", err);
+    });
+    await fs.rename(tmpPath, this.filePath);
+  }
+
+  async close() {
+    // wait for any queued write to land
+    await this.enqueue(() => {});
+  }
+}
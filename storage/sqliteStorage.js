@@ -0,0 +1,108 @@
+// storage/sqliteStorage.js
+/**
+ * Stores the data document in SQLite (via the optional better-sqlite3 dependency).
+ *
+ * Each guild's slice of the document is one row in `guilds`, so a save only
+ * rewrites the guilds that changed. Everything outside `guilds` (e.g. the
+ * layout version) is kept as a single JSON value in `meta`. Each save runs in
+ * one transaction, so a crash leaves the previous state intact.
+ */
+
+import { StorageError, createWriteQueue } from "./common.js";
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key   TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS guilds (
+    guild_id TEXT PRIMARY KEY,
+    data     TEXT NOT NULL
+  );
+`;
+
+export class SqliteStorage {
+  static async open(filePath) {
+    if (!filePath) throw new StorageError("SqliteStorage needs a database path.");
+
+    let Database;
+    try {
+      ({ default: Database } = await import("better-sqlite3"));
+    } catch (err) {
+      throw new StorageError("The sqlite storage driver needs the better-sqlite3 package (npm install better-sqlite3).", { cause: err });
+    }
+
+    try {
+      const db = new Database(filePath);
+      db.pragma("journal_mode = WAL");
+      db.exec(SCHEMA);
+      return new SqliteStorage(db);
+    } catch (err) {
+      throw new StorageError(`Could not open SQLite database ${filePath}: ${err.message}`, { cause: err });
+    }
+  }
+
+  constructor(db) {
+    this.db = db;
+    this.enqueue = createWriteQueue();
+    // last JSON written per guild, so unchanged guilds aren't rewritten
+    this.written = new Map();
+
+    this.selectMeta = db.prepare("SELECT value FROM meta WHERE key = 'document'");
+    this.selectGuilds = db.prepare("SELECT guild_id, data FROM guilds");
+    this.upsertMeta = db.prepare("INSERT INTO meta (key, value) VALUES ('document', ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value");
+    this.upsertGuild = db.prepare("INSERT INTO guilds (guild_id, data) VALUES (?, ?) ON CONFLICT(guild_id) DO UPDATE SET data = excluded.data");
+    this.deleteGuild = db.prepare("DELETE FROM guilds WHERE guild_id = ?");
+  }
+
+  async load() {
+    const metaRow = this.selectMeta.get();
+    const guildRows = this.selectGuilds.all();
+    if (!metaRow && guildRows.length === 0) return null;
+
+    let document;
+    try {
+      document = metaRow ? JSON.parse(metaRow.value) : {};
+    } catch (err) {
+      throw new StorageError(`SQLite meta document is not valid JSON (${err.message}). Refusing to continue so existing data is not overwritten.`, { cause: err });
+    }
+
+    document.guilds = {};
+    for (const row of guildRows) {
+      try {
+        document.guilds[row.guild_id] = JSON.parse(row.data);
+      } catch (err) {
+        throw new StorageError(`SQLite data for guild ${row.guild_id} is not valid JSON (${err.message}). Refusing to continue so existing data is not overwritten.`, { cause: err });
+      }
+      this.written.set(row.guild_id, row.data);
+    }
+    return document;
+  }
+
+  save(data) {
+    // serialize now so later mutations of `data` don't leak into this write
+    const { guilds = {}, ...rest } = data;
+    const meta = JSON.stringify(rest);
+    const rows = Object.entries(guilds).map(([guildId, guild]) => [guildId, JSON.stringify(guild)]);
+
+    return this.enqueue(() => {
+      const changed = rows.filter(([guildId, json]) => this.written.get(guildId) !== json);
+      const keep = new Set(rows.map(([guildId]) => guildId));
+      const removed = [...this.written.keys()].filter(guildId => !keep.has(guildId));
+
+      this.db.transaction(() => {
+        this.upsertMeta.run(meta);
+        for (const [guildId, json] of changed) this.upsertGuild.run(guildId, json);
+        for (const guildId of removed) this.deleteGuild.run(guildId);
+      })();
+
+      for (const [guildId, json] of changed) this.written.set(guildId, json);
+      for (const guildId of removed) this.written.delete(guildId);
+    });
+  }
+
+  async close() {
+    await this.enqueue(() => {});
+    this.db.close();
+  }
+}
@@ -0,0 +1,218 @@
+// teamFile.js
+/**
+ * Team roster files for /teamexport and /teamimport.
+ *
+ * Two formats carry the same fields:
+ *   csv   one row per team; id lists are separated by ";"; cells starting with = + - @ get a
+ *         leading ' so spreadsheets don't run them as formulas (stripped again on import)
+ *         team_id,name,leader_id,leader_username,member_ids,member_usernames,officer_ids,created_at,text_channel_id,voice_channel_id,role_id
+ *   json  { teams: [{ teamId, name, leader: { id, username }, members: [{ id, username }], officerIds, createdAt, textChannelId, voiceChannelId, roleId }] }
+ *
+ * Importing only needs name, leader and members; everything else in an
+ * exported file is ignored, so an export can be edited and fed straight back.
+ * Nothing in here talks to Discord.
+ */
+
+import { teamNameKey } from "./namePolicy.js";
+
+export const CSV_COLUMNS = [
+  "team_id", "name", "leader_id", "leader_username", "member_ids", "member_usernames",
+  "officer_ids", "created_at", "text_channel_id", "voice_channel_id", "role_id"
+];
+
+const SNOWFLAKE = /^\d{17,20}$/;
+
+// ---------- CSV ----------
+// Spreadsheet apps run cells starting with these as formulas; team names are user input
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+// undo csvCell's formula escaping so exported names import unchanged
+function uncsvCell(text) {
+  return text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+export function toCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+// RFC 4180: quoted fields may hold commas, newlines and doubled quotes. Returns rows of strings.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let i = 0;
+  if (text.charCodeAt(0) === 0xfeff) i = 1; // spreadsheet apps like to add a BOM
+
+  for (; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field); field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new Error("Unterminated quoted field.");
+  if (field !== "" || row.length > 0) { row.push(field); rows.push(row); }
+  // drop blank lines
+  return rows.filter(r => r.some(cell => cell.trim() !== ""));
+}
+
+// ---------- Export ----------
+// teams: stored team objects; usernames: Map(userId -> username)
+export function exportTeams(teams, usernames, format) {
+  const name = id => usernames.get(id) || "";
+  if (format === "json") {
+    const out = teams.map(t => ({
+      teamId: t.teamId,
+      name: t.name,
+      leader: { id: t.leaderId, username: name(t.leaderId) },
+      members: t.members.map(id => ({ id, username: name(id) })),
+      officerIds: t.officers || [],
+      createdAt: t.createdAt || null,
+      textChannelId: t.textChannelId || null,
+      voiceChannelId: t.voiceChannelId || null,
+      roleId: t.roleId || null
+    }));
+    return JSON.stringify({ exportedAt: new Date().toISOString(), teams: out }, null, 2);
+  }
+
+  return toCsv(CSV_COLUMNS, teams.map(t => [
+    t.teamId, t.name, t.leaderId, name(t.leaderId),
+    t.members.join(";"), t.members.map(name).join(";"),
+    (t.officers || []).join(";"), t.createdAt || "",
+    t.textChannelId || "", t.voiceChannelId || "", t.roleId || ""
+  ]));
+}
+
+// ---------- Import ----------
+function splitIds(value) {
+  return String(value || "").split(/[;\s]+/).map(s => s.trim()).filter(Boolean);
+}
+
+// Raw file text -> [{ line, name, leaderId, memberIds, officerIds }]; throws Error on a malformed file
+function readEntries(text, format) {
+  if (format === "json") {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Not valid JSON (${err.message}).`);
+    }
+    const list = Array.isArray(parsed) ? parsed : parsed?.teams;
+    if (!Array.isArray(list)) throw new Error('Expected an array of teams or an object with a "teams" array.');
+    return list.map((t, index) => {
+      if (!t || typeof t !== "object" || Array.isArray(t)) throw new Error(`Team #${index + 1} is not an object.`);
+      const members = t.members ?? t.memberIds ?? [];
+      const officerIds = t.officerIds ?? [];
+      if (!Array.isArray(members)) throw new Error(`Team #${index + 1}: "members" must be an array.`);
+      if (!Array.isArray(officerIds)) throw new Error(`Team #${index + 1}: "officerIds" must be an array.`);
+      return {
+        line: index + 1,
+        name: typeof t.name === "string" ? t.name.trim() : "",
+        leaderId: String(t.leader?.id ?? t.leaderId ?? "").trim(),
+        memberIds: members.map(m => String(m && typeof m === "object" ? m.id : m).trim()),
+        officerIds: officerIds.map(id => String(id).trim())
+      };
+    });
+  }
+
+  const rows = parseCsv(text);
+  if (rows.length === 0) throw new Error("The file is empty.");
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  const col = key => header.indexOf(key);
+  if (col("name") < 0 || col("leader_id") < 0) throw new Error('The CSV header needs at least "name" and "leader_id" columns.');
+  return rows.slice(1).map((row, index) => ({
+    line: index + 2,
+    name: uncsvCell((row[col("name")] || "").trim()),
+    leaderId: (row[col("leader_id")] || "").trim(),
+    memberIds: col("member_ids") >= 0 ? splitIds(row[col("member_ids")]) : [],
+    officerIds: col("officer_ids") >= 0 ? splitIds(row[col("officer_ids")]) : []
+  }));
+}
+
+/**
+ * Parse and validate an import file.
+ * @param {string} text
+ * @param {"csv"|"json"} format
+ * @param {object} rules
+ * @param {number} rules.maxTeamSize
+ * @param {(name: string) => {name: string, error: string|null}} rules.checkName
+ *   the guild's name policy (namePolicy.checkTeamName); returns the normalized name
+ * @param {(userId: string) => string|null} rules.teamOf  name of the existing team a user is in
+ * @returns {{ teams: {name, leaderId, members, officers}[], errors: string[] }}
+ *   teams is only meaningful when errors is empty; members always start with the leader.
+ */
+export function parseTeamImport(text, format, { maxTeamSize, checkName, teamOf }) {
+  let entries;
+  try {
+    entries = readEntries(text, format);
+  } catch (err) {
+    return { teams: [], errors: [err.message] };
+  }
+  if (entries.length === 0) return { teams: [], errors: ["The file has no teams."] };
+
+  const errors = [];
+  const teams = [];
+  const names = new Map();   // teamNameKey -> line
+  const claimed = new Map(); // userId -> line
+
+  for (const entry of entries) {
+    const where = format === "json" ? `Team #${entry.line}` : `Line ${entry.line}`;
+    const fail = message => errors.push(`${where}: ${message}`);
+
+    if (!entry.name) { fail("missing team name."); continue; }
+    const checked = checkName(entry.name);
+    const name = checked.name;
+    // names that only differ in case or punctuation would share channel and role names
+    const key = teamNameKey(name);
+    if (checked.error) fail(checked.error);
+    else if (names.has(key)) fail(`name "${name}" clashes with the name on ${format === "json" ? "team #" : "line "}${names.get(key)}.`);
+    names.set(key, entry.line);
+
+    if (!SNOWFLAKE.test(entry.leaderId)) { fail(`leader id "${entry.leaderId}" is not a Discord user id.`); continue; }
+    const members = [entry.leaderId, ...entry.memberIds.filter(id => id !== entry.leaderId)];
+    const badIds = members.filter(id => !SNOWFLAKE.test(id));
+    if (badIds.length) { fail(`not Discord user ids: ${badIds.join(", ")}.`); continue; }
+    if (new Set(members).size !== members.length) fail("lists the same member twice.");
+    if (members.length > maxTeamSize) fail(`has ${members.length} members (max ${maxTeamSize}).`);
+
+    for (const id of new Set(members)) {
+      const existing = teamOf(id);
+      if (existing) fail(`<@${id}> is already in **${existing}**.`);
+      else if (claimed.has(id)) fail(`<@${id}> is also listed on ${format === "json" ? "team #" : "line "}${claimed.get(id)}.`);
+      else claimed.set(id, entry.line);
+    }
+
+    const officers = entry.officerIds.filter(id => id !== entry.leaderId);
+    const strayOfficers = officers.filter(id => !members.includes(id));
+    if (strayOfficers.length) fail(`officers must be members: ${strayOfficers.join(", ")}.`);
+
+    teams.push({ name, leaderId: entry.leaderId, members: [...new Set(members)], officers });
+  }
+
+  return { teams, errors };
+}
+
+// The /teamimport preview: one line per parsed team, leader first
+export function formatImportPreview(teams) {
+  return teams
+    .map(t => `**${t.name}** — <@${t.leaderId}>${t.members.length > 1 ? ` + ${t.members.slice(1).map(m => `<@${m}>`).join(", ")}` : ""}`)
+    .join("\n");
+}
@@ -0,0 +1,67 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { planAutofill, parseUtcOffset, formatUtcOffset } from "../matchmaking.js";
+
+// agents join one minute apart, in the order given
+function agents(...specs) {
+  return specs.map(([userId, extra = {}], i) => ({ userId, joinedAt: new Date(Date.UTC(2024, 0, 1, 0, i)).toISOString(), ...extra }));
+}
+
+test("UTC offsets parse and format", () => {
+  assert.equal(parseUtcOffset("UTC+2"), 120);
+  assert.equal(parseUtcOffset("gmt-5:30"), -330);
+  assert.equal(parseUtcOffset("+03:00"), 180);
+  assert.equal(parseUtcOffset("utc"), 0);
+  assert.equal(parseUtcOffset("UTC+15"), null);
+  assert.equal(parseUtcOffset("tomorrow"), null);
+  assert.equal(formatUtcOffset(-330), "UTC-5:30");
+  assert.equal(formatUtcOffset(null), "unknown");
+});
+
+test("the same pool gives the same plan whatever order it is passed in", () => {
+  const pool = agents(["a", { utcOffset: 60 }], ["b", { utcOffset: -300 }], ["c", { utcOffset: 60 }], ["d"], ["e", { utcOffset: -300 }]);
+  const teams = [{ teamId: "t1", name: "One", openSlots: 1 }, { teamId: "t2", name: "Two", openSlots: 1 }];
+  const plan = planAutofill({ agents: pool, teams, teamSize: 2 });
+  assert.deepEqual(planAutofill({ agents: [...pool].reverse(), teams: [...teams].reverse(), teamSize: 2 }), plan);
+});
+
+test("new teams group players in neighbouring timezones", () => {
+  const pool = agents(["a", { utcOffset: 60 }], ["b", { utcOffset: -300 }], ["c", { utcOffset: 120 }], ["d", { utcOffset: -240 }]);
+  const plan = planAutofill({ agents: pool, teams: [], teamSize: 2, mode: "new" });
+  assert.deepEqual(plan.newTeams.map(t => t.userIds), [["a", "c"], ["b", "d"]]);
+  assert.deepEqual(plan.unplaced, []);
+});
+
+test("the highest skill leads a new team", () => {
+  const pool = agents(["a", { skill: 3 }], ["b", { skill: 8 }], ["c"]);
+  assert.equal(planAutofill({ agents: pool, teams: [], teamSize: 3 }).newTeams[0].leaderId, "b");
+});
+
+test("players without a timezone still get placed in queue order", () => {
+  // "a" waited longest but has no timezone; the newest arrival is the one left over
+  const pool = agents(["a"], ["b", { utcOffset: 60 }], ["c", { utcOffset: 60 }], ["d", { utcOffset: -300 }], ["e", { utcOffset: 60 }]);
+  const plan = planAutofill({ agents: pool, teams: [], teamSize: 2, minSize: 2 });
+  assert.ok(plan.newTeams.some(t => t.userIds.includes("a")));
+  assert.deepEqual(plan.unplaced, ["e"]);
+});
+
+test("a leftover group below min_size stays in the pool", () => {
+  const plan = planAutofill({ agents: agents(["a"], ["b"], ["c"], ["d"], ["e"]), teams: [], teamSize: 3, minSize: 3 });
+  assert.deepEqual(plan.newTeams.map(t => t.userIds), [["a", "b", "c"]]);
+  assert.deepEqual(plan.unplaced, ["d", "e"]);
+});
+
+test("top-ups fill the team with the most open slots first, longest waiting first", () => {
+  const teams = [{ teamId: "t1", name: "Small gap", openSlots: 1 }, { teamId: "t2", name: "Big gap", openSlots: 2 }];
+  const plan = planAutofill({ agents: agents(["a"], ["b"], ["c"], ["d"]), teams, teamSize: 4, mode: "topup" });
+  assert.deepEqual(plan.topUps, [{ teamId: "t2", userIds: ["a", "b"] }, { teamId: "t1", userIds: ["c"] }]);
+  assert.deepEqual(plan.unplaced, ["d"]);
+  assert.deepEqual(plan.newTeams, []);
+});
+
+test("top-ups prefer roles the team's current members don't have", () => {
+  const pool = agents(["a", { role: "Tank" }], ["b", { role: "healer" }], ["c", { role: "DPS" }]);
+  const teams = [{ teamId: "t1", name: "One", openSlots: 2, roles: ["tank", "Healer"] }];
+  const plan = planAutofill({ agents: pool, teams, teamSize: 4, mode: "topup" });
+  assert.deepEqual(plan.topUps, [{ teamId: "t1", userIds: ["c", "a"] }]);
+});
@@ -0,0 +1,67 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { checkTeamName, findBlockedWord, parseBlocklist, teamNameKey, DEFAULT_NAME_BLOCKLIST } from "../namePolicy.js";
+
+const check = (name, takenNames = []) => checkTeamName(name, { takenNames });
+
+test("names are normalized before they're stored", () => {
+  assert.equal(check("  Alpha​   Wolves ").name, "Alpha Wolves");
+  assert.equal(check("ＡＬＰＨＡ").name, "ALPHA");
+});
+
+test("length limits", () => {
+  assert.equal(check("A").code, "length");
+  assert.equal(check("x".repeat(33)).code, "length");
+  assert.equal(check("xy").error, null);
+});
+
+test("mentions are rejected", () => {
+  assert.equal(check("@everyone squad").code, "mention");
+  assert.equal(check("<@123456789012345678> fans").code, "mention");
+  assert.equal(check("<#123456789012345678>").code, "mention");
+});
+
+test("blocked words match whole words, with look-alikes and common endings", () => {
+  for (const name of ["Sh1t Show", "$hit", "s.h.i.t crew", "Shitty Team", "Fucking Legends"]) {
+    assert.equal(check(name).code, "blocked", name);
+  }
+  assert.match(check("Sh1t Show").error, /"Sh1t"/);
+  assert.match(check("s.h.i.t crew").error, /"s\.h\.i\.t"/);
+});
+
+test("innocent names containing a blocked word are allowed", () => {
+  for (const name of ["Scunthorpe United", "Mishits", "Nazir Squad", "Bass Cats"]) {
+    assert.equal(check(name).error, null, name);
+  }
+});
+
+test("the blocklist is per guild", () => {
+  const blocklist = parseBlocklist("Pineapple, sp@m");
+  assert.deepEqual(blocklist, ["pineapple", "spam"]);
+  assert.equal(findBlockedWord("Pineapple Pizza", blocklist), "Pineapple");
+  assert.equal(checkTeamName("Shit Show", { blocklist }).error, null);
+  assert.ok(DEFAULT_NAME_BLOCKLIST.length > 0);
+});
+
+test("reserved names", () => {
+  assert.equal(check("Admin").code, "reserved");
+  assert.equal(check("Ad.m1n").code, "reserved");
+  assert.equal(check("ＡＤＭＩＮ").code, "reserved");
+  assert.equal(check("Admins United").error, null);
+});
+
+test("names that map to the same channel name collide", () => {
+  assert.equal(teamNameKey("Team #1"), "team-1");
+  assert.equal(check("Team #1", ["team 1"]).code, "collision");
+  assert.equal(check("Team  -  1", ["team 1"]).code, "collision");
+  assert.match(check("Team #1", ["team 1"]).error, /`team-1`/);
+  assert.match(check("TEAM 1", ["team 1"]).error, /already exists/);
+  assert.equal(check("Team 2", ["team 1"]).error, null);
+});
+
+test("names in other scripts keep their letters", () => {
+  assert.equal(teamNameKey("日本"), "日本");
+  assert.equal(teamNameKey("Café Crew"), "café-crew");
+  assert.equal(check("中国", ["日本"]).error, null);
+  assert.equal(check("日本", ["日本"]).code, "collision");
+});
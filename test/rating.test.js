@@ -0,0 +1,52 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_RATING, K_FACTOR, expectedScore, rateMatch, invertResult } from "../rating.js";
+
+test("expected score is 0.5 for equal ratings and favours the higher rating", () => {
+  assert.equal(expectedScore(1000, 1000), 0.5);
+  assert.ok(Math.abs(expectedScore(1400, 1000) - 10 / 11) < 1e-12);
+  assert.ok(expectedScore(1200, 1000) > 0.5);
+  assert.ok(expectedScore(1000, 1200) < 0.5);
+});
+
+test("expected scores of both sides add up to 1", () => {
+  for (const [a, b] of [[1000, 1000], [1234, 987], [800, 1600]]) {
+    assert.ok(Math.abs(expectedScore(a, b) + expectedScore(b, a) - 1) < 1e-12);
+  }
+});
+
+test("win, draw and loss between equal teams", () => {
+  assert.deepEqual(rateMatch(DEFAULT_RATING, DEFAULT_RATING, "win"), { a: 1016, b: 984, delta: 16 });
+  assert.deepEqual(rateMatch(DEFAULT_RATING, DEFAULT_RATING, "draw"), { a: 1000, b: 1000, delta: 0 });
+  assert.deepEqual(rateMatch(DEFAULT_RATING, DEFAULT_RATING, "loss"), { a: 984, b: 1016, delta: -16 });
+});
+
+test("upsets move ratings more than expected results", () => {
+  const favouriteWins = rateMatch(1400, 1000, "win").delta;
+  const underdogWins = rateMatch(1000, 1400, "win").delta;
+  assert.equal(favouriteWins, 3);
+  assert.equal(underdogWins, 29);
+  // a draw costs the favourite points
+  assert.equal(rateMatch(1400, 1000, "draw").delta, -13);
+  assert.ok(Math.abs(underdogWins) <= K_FACTOR);
+});
+
+test("reporting from either side gives the same ratings and keeps the total", () => {
+  for (const [a, b, result] of [[1000, 1000, "win"], [1234, 987, "loss"], [800, 1600, "draw"], [1500, 1100, "win"]]) {
+    const fromA = rateMatch(a, b, result);
+    const fromB = rateMatch(b, a, invertResult(result));
+    assert.equal(fromA.a, fromB.b);
+    assert.equal(fromA.b, fromB.a);
+    assert.equal(fromA.a + fromA.b, a + b);
+  }
+});
+
+test("a custom K factor scales the change", () => {
+  assert.deepEqual(rateMatch(1000, 1000, "win", 64), { a: 1032, b: 968, delta: 32 });
+});
+
+test("unknown results are rejected", () => {
+  assert.throws(() => rateMatch(1000, 1000, "forfeit"), /Unknown match result/);
+  assert.equal(invertResult("draw"), "draw");
+  assert.equal(invertResult("win"), "loss");
+});
@@ -0,0 +1,142 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { JobScheduler } from "../scheduler.js";
+
+// Clock whose time only moves when advance() is called
+function fakeClock(start = Date.UTC(2024, 0, 1)) {
+  let now = start;
+  let nextHandle = 1;
+  const timers = new Map();
+  return {
+    now: () => now,
+    setTimeout(fn, ms) {
+      const handle = nextHandle++;
+      timers.set(handle, { fn, at: now + ms });
+      return handle;
+    },
+    clearTimeout: handle => timers.delete(handle),
+    async advance(ms) {
+      now += ms;
+      for (const [handle, timer] of [...timers]) {
+        if (timer.at > now) continue;
+        timers.delete(handle);
+        timer.fn();
+      }
+      // let the scheduler's async run finish
+      for (let i = 0; i < 20; i++) await new Promise(resolve => setImmediate(resolve));
+    }
+  };
+}
+
+function setup(jobs = [], clock = fakeClock()) {
+  let saves = 0;
+  const scheduler = new JobScheduler({ getJobs: async () => jobs, persist: async () => { saves++; }, clock });
+  return { scheduler, jobs, clock, saves: () => saves };
+}
+
+test("one-shot job runs once when due and is removed", async () => {
+  const { scheduler, jobs, clock } = setup();
+  const runs = [];
+  scheduler.register("ping", job => runs.push(job.payload.n));
+  await scheduler.start();
+  await scheduler.schedule({ id: "a", type: "ping", runAt: clock.now() + 1000, payload: { n: 1 } });
+
+  await clock.advance(999);
+  assert.deepEqual(runs, []);
+  await clock.advance(1);
+  assert.deepEqual(runs, [1]);
+  assert.equal(jobs.length, 0);
+
+  await clock.advance(5000);
+  assert.deepEqual(runs, [1]);
+});
+
+test("scheduling the same id replaces the job", async () => {
+  const { scheduler, jobs, clock } = setup();
+  const runs = [];
+  scheduler.register("ping", job => runs.push(job.payload.n));
+  await scheduler.start();
+  await scheduler.schedule({ id: "a", type: "ping", runAt: clock.now() + 1000, payload: { n: 1 } });
+  await scheduler.schedule({ id: "a", type: "ping", runAt: clock.now() + 2000, payload: { n: 2 } });
+  assert.equal(jobs.length, 1);
+
+  await clock.advance(1000);
+  assert.deepEqual(runs, []);
+  await clock.advance(1000);
+  assert.deepEqual(runs, [2]);
+});
+
+test("recurring job is re-queued after every run", async () => {
+  const { scheduler, jobs, clock } = setup();
+  let runs = 0;
+  scheduler.register("tick", () => { runs++; });
+  await scheduler.start();
+  await scheduler.ensureRecurring({ id: "tick", type: "tick", intervalMs: 100 });
+
+  await clock.advance(100);
+  assert.equal(runs, 1);
+  await clock.advance(100);
+  assert.equal(runs, 2);
+  assert.equal(jobs.length, 1);
+  assert.equal(new Date(jobs[0].runAt).getTime(), clock.now() + 100);
+});
+
+test("ensureRecurring keeps a stored job's next run", async () => {
+  const clock = fakeClock();
+  const runAt = new Date(clock.now() + 50).toISOString();
+  const { scheduler, jobs } = setup([{ id: "tick", type: "tick", runAt, payload: {}, intervalMs: 100 }], clock);
+  await scheduler.ensureRecurring({ id: "tick", type: "tick", intervalMs: 100 });
+  assert.equal(jobs.length, 1);
+  assert.equal(jobs[0].runAt, runAt);
+});
+
+test("jobs that came due while stopped run on start, oldest first", async () => {
+  const clock = fakeClock();
+  const past = ms => new Date(clock.now() - ms).toISOString();
+  const stored = [
+    { id: "late", type: "ping", runAt: past(1000), payload: { n: "late" } },
+    { id: "later", type: "ping", runAt: past(5000), payload: { n: "later" } },
+    { id: "future", type: "ping", runAt: new Date(clock.now() + 1000).toISOString(), payload: { n: "future" } }
+  ];
+  const { scheduler, jobs } = setup(stored, clock);
+  const runs = [];
+  scheduler.register("ping", job => runs.push(job.payload.n));
+
+  await scheduler.start();
+  assert.deepEqual(runs, ["later", "late"]);
+  assert.deepEqual(jobs.map(j => j.id), ["future"]);
+
+  await clock.advance(1000);
+  assert.deepEqual(runs, ["later", "late", "future"]);
+});
+
+test("cancelled job never runs", async () => {
+  const { scheduler, jobs, clock } = setup();
+  let runs = 0;
+  scheduler.register("ping", () => { runs++; });
+  await scheduler.start();
+  await scheduler.schedule({ id: "a", type: "ping", runAt: clock.now() + 1000 });
+
+  assert.equal(await scheduler.cancel("a"), true);
+  assert.equal(await scheduler.cancel("a"), false);
+  assert.equal(await scheduler.has("a"), false);
+  assert.equal(jobs.length, 0);
+
+  await clock.advance(2000);
+  assert.equal(runs, 0);
+});
+
+test("a failing handler doesn't stop other jobs", async t => {
+  t.mock.method(console, "error", () => {});
+  const { scheduler, clock } = setup();
+  const runs = [];
+  scheduler.register("boom", () => { throw new Error("boom"); });
+  scheduler.register("ping", () => runs.push("ping"));
+  await scheduler.start();
+  await scheduler.schedule({ id: "a", type: "boom", runAt: clock.now() + 10 });
+  await scheduler.schedule({ id: "b", type: "ping", runAt: clock.now() + 20 });
+
+  await clock.advance(20);
+  assert.deepEqual(runs, ["ping"]);
+  assert.equal(await scheduler.has("a"), false);
+});
@@ -0,0 +1,86 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { createStorage, StorageError } from "../storage/index.js";
+import { JsonFileStorage } from "../storage/jsonFileStorage.js";
+
+const hasSqlite = await import("better-sqlite3").then(() => true, () => false);
+
+// A fresh directory for one test, removed when the test ends
+async function tempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "team-bot-storage-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("a corrupt JSON file throws StorageError and is left untouched", async (t) => {
+  const file = path.join(await tempDir(t), "teams.json");
+  await fs.writeFile(file, "{\"version\": 2, \"guilds\": {");
+  const storage = new JsonFileStorage(file);
+
+  await assert.rejects(storage.load(), StorageError);
+  assert.equal(await fs.readFile(file, "utf8"), "{\"version\": 2, \"guilds\": {");
+});
+
+test("an empty or missing JSON file means nothing is stored", async (t) => {
+  const dir = await tempDir(t);
+  assert.equal(await new JsonFileStorage(path.join(dir, "missing.json")).load(), null);
+
+  const empty = path.join(dir, "empty.json");
+  await fs.writeFile(empty, "  \n");
+  assert.equal(await new JsonFileStorage(empty).load(), null);
+});
+
+test("concurrent saves are written one at a time, last one wins", async (t) => {
+  const file = path.join(await tempDir(t), "teams.json");
+  const storage = new JsonFileStorage(file);
+
+  await Promise.all([1, 2, 3].map(n => storage.save({ version: 2, n })));
+
+  assert.deepEqual(await storage.load(), { version: 2, n: 3 });
+  // the backup holds the second save, so the writes landed in call order
+  assert.deepEqual(JSON.parse(await fs.readFile(`${file}.bak`, "utf8")), { version: 2, n: 2 });
+  await storage.close();
+});
+
+test("saving keeps the previous file as .bak", async (t) => {
+  const file = path.join(await tempDir(t), "teams.json");
+  const storage = new JsonFileStorage(file);
+
+  await storage.save({ version: 2, guilds: {} });
+  await assert.rejects(fs.access(`${file}.bak`));
+
+  await storage.save({ version: 2, guilds: { 1: {} } });
+  assert.deepEqual(JSON.parse(await fs.readFile(`${file}.bak`, "utf8")), { version: 2, guilds: {} });
+  assert.deepEqual(await storage.load(), { version: 2, guilds: { 1: {} } });
+});
+
+test("unknown storage drivers are rejected", async () => {
+  await assert.rejects(createStorage({ driver: "redis" }), StorageError);
+});
+
+test("SQLite storage round-trips the document", { skip: !hasSqlite && "better-sqlite3 is not installed" }, async (t) => {
+  const sqlitePath = path.join(await tempDir(t), "teams.db");
+  const doc = {
+    version: 2,
+    jobs: [{ id: "job-1", type: "reconcileTeams", runAt: "2024-01-01T00:00:00.000Z" }],
+    guilds: {
+      111: { config: { maxTeamSize: 5 }, teams: { t1: { teamId: "t1", name: "Alpha" } } },
+      222: { config: {}, teams: {} }
+    }
+  };
+
+  const storage = await createStorage({ driver: "sqlite", sqlitePath });
+  assert.equal(await storage.load(), null);
+  await storage.save(doc);
+  delete doc.guilds[222];
+  doc.guilds[111].teams.t1.name = "Beta";
+  await storage.save(doc);
+  await storage.close();
+
+  const reopened = await createStorage({ driver: "sqlite", sqlitePath });
+  assert.deepEqual(await reopened.load(), doc);
+  await reopened.close();
+});
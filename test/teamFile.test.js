@@ -0,0 +1,89 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { exportTeams, formatImportPreview, parseCsv, parseTeamImport } from "../teamFile.js";
+import { checkTeamName } from "../namePolicy.js";
+
+const LEADER = "123456789012345678";
+const MEMBER = "223456789012345678";
+const rules = { maxTeamSize: 4, checkName: name => ({ name, error: null }), teamOf: () => null };
+
+test("CSV export escapes cells that spreadsheets would run as formulas", () => {
+  const team = { teamId: "t1", name: "=HYPERLINK(\"x\")", leaderId: LEADER, members: [LEADER] };
+  const csv = exportTeams([team], new Map([[LEADER, "@alice"]]), "csv");
+  const [, row] = parseCsv(csv);
+  assert.equal(row[1], "'=HYPERLINK(\"x\")");
+  assert.equal(row[3], "'@alice");
+});
+
+test("exported CSV imports with the original names", () => {
+  const team = { teamId: "t1", name: "-Dashers", leaderId: LEADER, members: [LEADER, MEMBER] };
+  const csv = exportTeams([team], new Map(), "csv");
+  const { teams, errors } = parseTeamImport(csv, "csv", rules);
+  assert.deepEqual(errors, []);
+  assert.equal(teams[0].name, "-Dashers");
+  assert.deepEqual(teams[0].members, [LEADER, MEMBER]);
+});
+
+test("JSON import reports entries whose member lists aren't arrays", () => {
+  const json = JSON.stringify({ teams: [{ name: "Ok", leaderId: LEADER }, { name: "Bad", leaderId: LEADER, members: "abc" }] });
+  assert.deepEqual(parseTeamImport(json, "json", rules).errors, ['Team #2: "members" must be an array.']);
+
+  const officers = JSON.stringify([{ name: "Bad", leaderId: LEADER, officerIds: 5 }]);
+  assert.deepEqual(parseTeamImport(officers, "json", rules).errors, ['Team #1: "officerIds" must be an array.']);
+
+  assert.deepEqual(parseTeamImport("[null]", "json", rules).errors, ["Team #1 is not an object."]);
+});
+
+const OTHER = "323456789012345678";
+const SOLO = "423456789012345678";
+const csvFile = rows => ["name,leader_id,member_ids,officer_ids", ...rows].join("\n");
+
+test("import rejects a roster that lists a member twice or is over the size limit", () => {
+  const twice = csvFile([`Alpha,${LEADER},${MEMBER};${MEMBER},`]);
+  assert.deepEqual(parseTeamImport(twice, "csv", rules).errors, ["Line 2: lists the same member twice."]);
+
+  const tooBig = csvFile([`Alpha,${LEADER},${MEMBER};${OTHER},`]);
+  assert.deepEqual(parseTeamImport(tooBig, "csv", { ...rules, maxTeamSize: 2 }).errors, ["Line 2: has 3 members (max 2)."]);
+});
+
+test("import rejects members who are already on a team or listed twice in the file", () => {
+  const onTeam = csvFile([`Alpha,${LEADER},${MEMBER},`]);
+  const teamOf = id => id === MEMBER ? "Old Guard" : null;
+  assert.deepEqual(parseTeamImport(onTeam, "csv", { ...rules, teamOf }).errors, [`Line 2: <@${MEMBER}> is already in **Old Guard**.`]);
+
+  const shared = csvFile([`Alpha,${LEADER},${MEMBER},`, `Beta,${OTHER},${MEMBER},`]);
+  assert.deepEqual(parseTeamImport(shared, "csv", rules).errors, [`Line 3: <@${MEMBER}> is also listed on line 2.`]);
+});
+
+test("import rejects ids that aren't Discord user ids", () => {
+  const badLeader = csvFile(["Alpha,not-an-id,,"]);
+  assert.deepEqual(parseTeamImport(badLeader, "csv", rules).errors, ['Line 2: leader id "not-an-id" is not a Discord user id.']);
+
+  const badMember = csvFile([`Alpha,${LEADER},12345;${MEMBER},`]);
+  assert.deepEqual(parseTeamImport(badMember, "csv", rules).errors, ["Line 2: not Discord user ids: 12345."]);
+});
+
+test("import rejects names that would share a channel name", () => {
+  const inFile = csvFile([`Red Team,${LEADER},,`, `red-team,${MEMBER},,`]);
+  assert.deepEqual(parseTeamImport(inFile, "csv", rules).errors, ['Line 3: name "red-team" clashes with the name on line 2.']);
+
+  const checkName = name => checkTeamName(name, { takenNames: ["Blue Sharks"] });
+  const { errors } = parseTeamImport(csvFile([`blue sharks!,${LEADER},,`]), "csv", { ...rules, checkName });
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^Line 2: "blue sharks!" is too similar to the existing team "Blue Sharks"/);
+});
+
+test("import rejects officers who aren't on the roster", () => {
+  const json = JSON.stringify([{ name: "Alpha", leaderId: LEADER, members: [MEMBER], officerIds: [MEMBER, OTHER] }]);
+  assert.deepEqual(parseTeamImport(json, "json", rules).errors, [`Team #1: officers must be members: ${OTHER}.`]);
+});
+
+test("import preview lists each team with its leader first", () => {
+  const { teams, errors } = parseTeamImport(csvFile([`Alpha,${LEADER},${MEMBER};${OTHER},${MEMBER}`, `Solo,${SOLO},,`]), "csv", { ...rules, maxTeamSize: 3 });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(teams[0], { name: "Alpha", leaderId: LEADER, members: [LEADER, MEMBER, OTHER], officers: [MEMBER] });
+  assert.equal(formatImportPreview(teams), [
+    `**Alpha** — <@${LEADER}> + <@${MEMBER}>, <@${OTHER}>`,
+    `**Solo** — <@${SOLO}>`
+  ].join("\n"));
+});